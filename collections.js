@@ -0,0 +1,351 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Collections
+   ═══════════════════════════════════════════════════════════════
+   Builds one record per collection from three sources:
+     - qmd's config (qmdconfig.js): source path, mask, contexts
+     - `qmd collection list` / `qmd status`: indexed file counts,
+       last index update, embedding counts where qmd reports them
+     - the source directory itself: total size and newest file
+
+   qmd's text output isn't a stable format, so the parsers read
+   generic "Key: value" lines and leave a field null rather than
+   guessing when a line is missing. They're exported on their own
+   so they can be exercised against captured outputs.
+
+   Usage:
+     import { listCollections } from './collections.js';
+     const collections = await listCollections();
+   ═══════════════════════════════════════════════════════════════ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { getCollections } from "./qmdconfig.js";
+import { runQmd } from "./qmdcli.js";
+
+// Directory scans are cached briefly — the modal and boot both list collections
+const SCAN_TTL_MS = 30_000;
+
+// Stop counting in huge trees; the record is flagged `truncated`
+const MAX_SCAN_FILES = 50_000;
+
+// Never descended into while scanning (qmd skips them too)
+const SKIP_DIRS = new Set(["node_modules", ".git"]);
+
+const scanCache = new Map(); // "path\0mask" → { at, result }
+
+// ─── Parsing qmd output ───────────────────────────────────────
+
+const UNIT_MS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+/**
+ * Turn qmd's "2h ago", "3 days ago", "just now" or an ISO date into a
+ * timestamp. Returns null for anything else.
+ * @param {string} text
+ * @param {number} [now]
+ */
+export function parseWhen(text, now = Date.now()) {
+    if (!text) return null;
+    const t = text.trim().toLowerCase();
+    if (t === "just now" || t === "now") return now;
+
+    const rel = t.match(/^(\d+)\s*(s|sec|secs|seconds?|m|min|mins|minutes?|h|hr|hrs|hours?|d|days?|w|wk|weeks?)\s+ago$/);
+    if (rel) return now - Number(rel[1]) * UNIT_MS[rel[2][0]];
+
+    const abs = Date.parse(text.trim());
+    return Number.isNaN(abs) ? null : abs;
+}
+
+/** First integer in a value like "123", "1,234 files" or "80 (updated 2h ago)" */
+function parseCount(value) {
+    const match = value?.match(/\d[\d,]*/);
+    return match ? parseInt(match[0].replace(/,/g, ""), 10) : null;
+}
+
+/**
+ * Split output into sections headed by "name (qmd://name/)" lines; the
+ * "Key: value" lines under a heading belong to that collection.
+ * @param {string} text
+ * @returns {Map<string, Record<string, string>>} name → lower-cased keys
+ */
+function parseCollectionBlocks(text) {
+    const blocks = new Map();
+    let current = null;
+    let headerIndent = 0;
+
+    for (const line of text.split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        const indent = line.length - line.trimStart().length;
+
+        const header = line.match(/^\s*(.+?)\s+\(qmd:\/\/[^)]*\)\s*:?\s*$/);
+        if (header) {
+            current = {};
+            headerIndent = indent;
+            blocks.set(header[1].trim(), current);
+            continue;
+        }
+        // A line back at (or left of) the header's indent ends the block
+        if (current && indent <= headerIndent) current = null;
+        if (!current) continue;
+
+        const kv = line.match(/^\s*([A-Za-z][\w \-]*?)\s*:\s*(.*)$/);
+        if (kv) current[kv[1].toLowerCase()] = kv[2].trim();
+    }
+    return blocks;
+}
+
+/**
+ * Embedding counts from a block's "Embedded:", "Vectors:" or "Pending:"
+ * lines. Pending counts files, while the embedded count may count
+ * chunks, so files done = total - pending whenever pending is known.
+ */
+function embeddingFrom(fields, files) {
+    const embedded = parseCount(fields.embedded ?? fields.vectors);
+    const pending = parseCount(fields.pending ?? fields["needs embedding"]);
+    if (embedded === null && pending === null) return null;
+
+    const total = files ?? (embedded !== null && pending !== null ? embedded + pending : null);
+    if (total === null) return null;
+    const done = Math.max(0, pending !== null ? total - pending : embedded);
+    return { embedded: done, total, coverage: total > 0 ? Math.min(1, done / total) : 1 };
+}
+
+/**
+ * Parse `qmd collection list` (or the collections part of `qmd status`).
+ * @param {string} text
+ * @param {number} [now] - For resolving "2h ago"
+ * @returns {Array<{ name: string, pattern: string|null, files: number|null,
+ *   updatedAt: number|null, embedding: object|null }>}
+ */
+export function parseCollectionList(text, now = Date.now()) {
+    const out = [];
+    for (const [name, fields] of parseCollectionBlocks(text)) {
+        const files = parseCount(fields.files ?? fields.documents);
+        const updated = fields.updated ?? fields["last updated"] ?? fields.files?.match(/updated\s+([^)]+)/i)?.[1];
+        out.push({
+            name,
+            pattern: fields.pattern || fields.mask || null,
+            files,
+            updatedAt: parseWhen(updated, now),
+            embedding: embeddingFrom(fields, files),
+        });
+    }
+    return out;
+}
+
+/**
+ * Parse the index-wide numbers from `qmd status`.
+ * @param {string} text
+ * @returns {{ files: number|null, embedding: object|null }}
+ */
+export function parseStatus(text) {
+    const fields = {};
+    for (const line of text.split(/\r?\n/)) {
+        if (/\(qmd:\/\//.test(line)) break; // per-collection section starts
+        const kv = line.match(/^\s*([A-Za-z][\w \-]*?)\s*:\s*(.+)$/);
+        if (kv) fields[kv[1].toLowerCase()] ??= kv[2].trim();
+    }
+    const files = parseCount(fields.total ?? fields.documents ?? fields.files);
+    return { files, embedding: embeddingFrom(fields, files) };
+}
+
+// ─── Masks ────────────────────────────────────────────────────
+
+/**
+ * Compile a glob mask ("**\/*.md", "notes/*.{md,txt}") to a RegExp that
+ * matches forward-slash relative paths.
+ * @param {string} mask
+ * @returns {RegExp}
+ */
+export function maskToRegExp(mask) {
+    let re = "";
+    let braces = 0;
+    for (let i = 0; i < mask.length; i++) {
+        const ch = mask[i];
+        if (ch === "*") {
+            if (mask[i + 1] === "*") {
+                // "**/" matches zero or more directories; a trailing "**" matches anything
+                if (mask[i + 2] === "/") {
+                    re += "(?:.*/)?";
+                    i += 2;
+                } else {
+                    re += ".*";
+                    i += 1;
+                }
+            } else {
+                re += "[^/]*";
+            }
+        } else if (ch === "?") {
+            re += "[^/]";
+        } else if (ch === "{") {
+            braces++;
+            re += "(?:";
+        } else if (ch === "}" && braces > 0) {
+            braces--;
+            re += ")";
+        } else if (ch === "," && braces > 0) {
+            re += "|";
+        } else {
+            re += ch.replace(/[.+^$()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+// ─── Source directory scan ────────────────────────────────────
+
+/**
+ * Walk a directory and call onFile(relPath, stat) for every file the mask
+ * matches. Hidden files and directories are skipped, like qmd does.
+ * Stops early when onFile returns false.
+ * @returns {Promise<boolean>} false if rootDir doesn't exist
+ */
+async function walkMatches(rootDir, mask, onFile) {
+    try {
+        await fs.access(rootDir);
+    } catch {
+        return false;
+    }
+
+    const matcher = maskToRegExp(mask);
+    const stack = [""];
+    while (stack.length > 0) {
+        const rel = stack.pop();
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(rootDir, rel), { withFileTypes: true });
+        } catch {
+            continue; // unreadable subdirectory
+        }
+        for (const entry of entries) {
+            if (entry.name.startsWith(".")) continue;
+            const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (!SKIP_DIRS.has(entry.name)) stack.push(relPath);
+                continue;
+            }
+            if (!entry.isFile() || !matcher.test(relPath)) continue;
+            let stat;
+            try {
+                stat = await fs.stat(path.join(rootDir, relPath));
+            } catch {
+                continue; // removed while scanning
+            }
+            if (onFile(relPath, stat) === false) return true;
+        }
+    }
+    return true;
+}
+
+/**
+ * Total up the files a collection's mask matches in its source directory.
+ * @returns {Promise<{ exists: boolean, files: number, totalSize: number,
+ *   lastModified: number|null, truncated: boolean }>}
+ */
+export async function scanCollection(rootDir, mask) {
+    const key = `${rootDir}\0${mask}`;
+    const cached = scanCache.get(key);
+    if (cached && Date.now() - cached.at < SCAN_TTL_MS) return cached.result;
+
+    const result = { exists: true, files: 0, totalSize: 0, lastModified: null, truncated: false };
+    result.exists = await walkMatches(rootDir, mask, (_rel, stat) => {
+        result.files++;
+        result.totalSize += stat.size;
+        if (result.lastModified === null || stat.mtimeMs > result.lastModified) result.lastModified = stat.mtimeMs;
+        if (result.files < MAX_SCAN_FILES) return true;
+        result.truncated = true;
+        return false;
+    });
+
+    scanCache.set(key, { at: Date.now(), result });
+    return result;
+}
+
+// ─── Exported API ─────────────────────────────────────────────
+
+/**
+ * Every collection, with config, index and filesystem details merged:
+ * {
+ *   name, uri, path, mask, pattern,
+ *   files,          // indexed by qmd (falls back to files matching the mask)
+ *   totalSize,      // bytes of files matching the mask on disk
+ *   lastModified,   // newest matching file's mtime
+ *   lastIndexed,    // when qmd last updated the collection, if it says
+ *   embedding,      // { embedded, total, coverage } or null if unknown
+ *   context,        // root context description, or null
+ *   contexts,       // every path prefix → description
+ *   exists, truncated
+ * }
+ * Collections qmd lists but the config doesn't (or vice versa) are kept.
+ * @returns {Promise<{ collections: object[], index: object|null, error: string|null }>}
+ */
+export async function listCollections() {
+    const [list, status] = await Promise.all([runQmd(["collection", "list"]), runQmd(["status"])]);
+
+    const indexed = new Map(list.ok ? parseCollectionList(list.stdout).map((c) => [c.name, c]) : []);
+    // `qmd status` may carry per-collection numbers `collection list` doesn't
+    const statusCollections = new Map(status.ok ? parseCollectionList(status.stdout).map((c) => [c.name, c]) : []);
+
+    const configured = getCollections();
+    const names = new Set([...configured.map((c) => c.name), ...indexed.keys()]);
+
+    const collections = await Promise.all(Array.from(names, async (name) => {
+        const config = configured.find((c) => c.name === name);
+        const fromList = indexed.get(name) || {};
+        const fromStatus = statusCollections.get(name) || {};
+        const mask = config?.mask || fromList.pattern || fromStatus.pattern || "";
+        const scan = config ? await scanCollection(config.path, mask) : null;
+
+        return {
+            name,
+            uri: `qmd://${name}/`,
+            path: config?.path || null,
+            mask,
+            pattern: mask,
+            files: fromList.files ?? fromStatus.files ?? scan?.files ?? 0,
+            totalSize: scan?.totalSize ?? null,
+            lastModified: scan?.lastModified ?? null,
+            lastIndexed: fromList.updatedAt ?? fromStatus.updatedAt ?? null,
+            embedding: fromList.embedding ?? fromStatus.embedding ?? null,
+            context: config?.contexts["/"] || null,
+            contexts: config?.contexts || {},
+            exists: scan?.exists ?? null,
+            truncated: scan?.truncated ?? false,
+        };
+    }));
+
+    return {
+        collections,
+        index: status.ok ? parseStatus(status.stdout) : null,
+        error: list.ok ? null : list.stderr,
+    };
+}
+
+/**
+ * Which files would a collection with this path and mask index?
+ * Not cached — it's for previewing a mask while it's being typed.
+ * @param {string} rootDir - Absolute directory
+ * @param {string} mask - Glob, e.g. "**\/*.md"
+ * @param {{ sample?: number }} [options] - How many paths to return
+ * @returns {Promise<{ exists: boolean, files: number, totalSize: number,
+ *   sample: string[], truncated: boolean }>}
+ */
+export async function previewMask(rootDir, mask, { sample = 20 } = {}) {
+    const result = { exists: true, files: 0, totalSize: 0, sample: [], truncated: false };
+    result.exists = await walkMatches(rootDir, mask, (relPath, stat) => {
+        result.files++;
+        result.totalSize += stat.size;
+        if (result.sample.length < sample) result.sample.push(relPath);
+        if (result.files < MAX_SCAN_FILES) return true;
+        result.truncated = true;
+        return false;
+    });
+    result.sample.sort();
+    return result;
+}
+
+/**
+ * Forget cached directory scans, e.g. after a collection changed.
+ */
+export function invalidateCollectionScans() {
+    scanCache.clear();
+}
@@ -0,0 +1,192 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Collections parser tests
+   ═══════════════════════════════════════════════════════════════
+   Feeds `qmd collection list` and `qmd status` output captured
+   from qmd 2.8.3 (two collections, nothing embedded yet) to the
+   parsers in collections.js. The missing-line cases cut lines out
+   of that output. Run with `npm test`.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCollectionList, parseStatus, parseWhen, maskToRegExp } from "./collections.js";
+
+const NOW = Date.parse("2026-06-01T12:00:00Z");
+const HOUR = 3_600_000;
+
+/** The output without the lines matching `pattern` */
+const withoutLines = (text, pattern) => text.split("\n").filter((line) => !pattern.test(line)).join("\n");
+
+// ─── Captured output (qmd 2.8.3) ──────────────────────────────
+
+const COLLECTION_LIST = `Collections (2):
+
+notes (qmd://notes/)
+  Pattern:  **/*.md
+  Files:    2
+  Updated:  3s ago
+
+meetings (qmd://meetings/)
+  Pattern:  *.{md,txt}
+  Files:    2
+  Updated:  3s ago
+
+`;
+
+const STATUS = `QMD Status
+
+Index: /tmp/qmdhome/.cache/qmd/index.sqlite
+Size:  120.0 KB
+
+Documents
+  Total:    4 files indexed
+  Vectors:  0 embedded
+  Pending:  4 need embedding (run 'qmd embed')
+  Updated:  3s ago
+
+AST Chunking
+  Status:   active
+  Languages: typescript, tsx, javascript, python, go, rust
+
+Collections
+  notes (qmd://notes/)
+    Pattern:  **/*.md
+    Files:    2 (updated 3s ago)
+  meetings (qmd://meetings/)
+    Pattern:  *.{md,txt}
+    Files:    2 (updated 3s ago)
+
+Examples
+  # List files in a collection
+  qmd ls notes
+  # Get a document
+  qmd get qmd://notes/path/to/file.md
+  # Search within a collection
+  qmd search "query" -c notes
+
+Models
+  Embedding:   https://huggingface.co/ggml-org/embeddinggemma-300M-GGUF
+  Reranking:   https://huggingface.co/ggml-org/Qwen3-Reranker-0.6B-Q8_0-GGUF
+  Generation:  https://huggingface.co/tobil/qmd-query-expansion-1.7B-gguf
+
+Tips
+  Add context to collections for better search results: notes, meetings
+    qmd context add qmd://<name>/ "What this collection contains"
+    qmd context add qmd://<name>/meeting-notes "Weekly team meeting notes"
+  Add update commands to keep collections fresh: notes, meetings
+    qmd collection update-cmd <name> 'git stash && git pull --rebase --ff-only && git stash pop'
+`;
+
+// ─── parseCollectionList ──────────────────────────────────────
+
+test("parseCollectionList reads every collection block", () => {
+    assert.deepEqual(parseCollectionList(COLLECTION_LIST, NOW), [
+        { name: "notes", pattern: "**/*.md", files: 2, updatedAt: NOW - 3000, embedding: null },
+        { name: "meetings", pattern: "*.{md,txt}", files: 2, updatedAt: NOW - 3000, embedding: null },
+    ]);
+});
+
+test("parseCollectionList leaves fields null when their line is missing", () => {
+    const [notes] = parseCollectionList(withoutLines(COLLECTION_LIST, /^  (Pattern|Updated):/), NOW);
+    assert.deepEqual(notes, { name: "notes", pattern: null, files: 2, updatedAt: null, embedding: null });
+    const [bare] = parseCollectionList(withoutLines(COLLECTION_LIST, /^  /), NOW);
+    assert.deepEqual(bare, { name: "notes", pattern: null, files: null, updatedAt: null, embedding: null });
+});
+
+test("parseCollectionList reads the collections section of qmd status", () => {
+    // Files and the update time share a line there: "2 (updated 3s ago)"
+    assert.deepEqual(parseCollectionList(STATUS, NOW), parseCollectionList(COLLECTION_LIST, NOW));
+});
+
+test("parseCollectionList ignores output without collection headings", () => {
+    assert.deepEqual(parseCollectionList(withoutLines(COLLECTION_LIST, /qmd:\/\//), NOW), []);
+    assert.deepEqual(parseCollectionList("", NOW), []);
+});
+
+// ─── parseStatus ──────────────────────────────────────────────
+
+test("parseStatus counts embedded files as total minus pending", () => {
+    assert.deepEqual(parseStatus(STATUS), {
+        files: 4,
+        embedding: { embedded: 0, total: 4, coverage: 0 },
+    });
+});
+
+test("parseStatus stops at the per-collection section", () => {
+    // Without the Documents block, the collections' "Files:" lines aren't index-wide numbers
+    const text = withoutLines(STATUS, /^  (Total|Vectors|Pending):/);
+    assert.deepEqual(parseStatus(text), { files: null, embedding: null });
+});
+
+test("parseStatus leaves embedding null without Vectors or Pending lines", () => {
+    assert.deepEqual(parseStatus(withoutLines(STATUS, /^  (Vectors|Pending):/)), { files: 4, embedding: null });
+});
+
+test("parseStatus leaves files null without a Total line", () => {
+    const { files } = parseStatus(withoutLines(STATUS, /^  Total:/));
+    assert.equal(files, null);
+});
+
+test("parseStatus uses the embedded count when pending is unknown", () => {
+    const { embedding } = parseStatus(withoutLines(STATUS, /^  Pending:/));
+    assert.deepEqual(embedding, { embedded: 0, total: 4, coverage: 0 });
+});
+
+// ─── parseWhen ────────────────────────────────────────────────
+
+test("parseWhen reads relative times", () => {
+    assert.equal(parseWhen("just now", NOW), NOW);
+    assert.equal(parseWhen("45s ago", NOW), NOW - 45_000);
+    assert.equal(parseWhen("5 min ago", NOW), NOW - 5 * 60_000);
+    assert.equal(parseWhen("2h ago", NOW), NOW - 2 * HOUR);
+    assert.equal(parseWhen("3 days ago", NOW), NOW - 3 * 24 * HOUR);
+    assert.equal(parseWhen("1 week ago", NOW), NOW - 7 * 24 * HOUR);
+});
+
+test("parseWhen reads ISO dates", () => {
+    assert.equal(parseWhen("2026-05-30T08:00:00Z", NOW), Date.parse("2026-05-30T08:00:00Z"));
+});
+
+test("parseWhen returns null for anything else", () => {
+    assert.equal(parseWhen("", NOW), null);
+    assert.equal(parseWhen(undefined, NOW), null);
+    assert.equal(parseWhen("never", NOW), null);
+    assert.equal(parseWhen("2h from now", NOW), null);
+});
+
+// ─── maskToRegExp ─────────────────────────────────────────────
+
+test("maskToRegExp: **/ matches any depth, including none", () => {
+    const re = maskToRegExp("**/*.md");
+    assert.ok(re.test("a.md"));
+    assert.ok(re.test("x/y/a.md"));
+    assert.ok(!re.test("a.mdx"));
+    assert.ok(!re.test("a.txt"));
+});
+
+test("maskToRegExp: * and ? stay within one directory", () => {
+    assert.ok(maskToRegExp("*.md").test("a.md"));
+    assert.ok(!maskToRegExp("*.md").test("x/a.md"));
+    assert.ok(maskToRegExp("notes/?.md").test("notes/a.md"));
+    assert.ok(!maskToRegExp("notes/?.md").test("notes/ab.md"));
+});
+
+test("maskToRegExp: braces list alternatives", () => {
+    const re = maskToRegExp("notes/*.{md,txt}");
+    assert.ok(re.test("notes/a.md"));
+    assert.ok(re.test("notes/a.txt"));
+    assert.ok(!re.test("notes/a.pdf"));
+});
+
+test("maskToRegExp: regex characters are literal", () => {
+    const re = maskToRegExp("a+b (1).md");
+    assert.ok(re.test("a+b (1).md"));
+    assert.ok(!re.test("aab (1)xmd"));
+});
+
+test("maskToRegExp: a trailing ** matches everything below", () => {
+    const re = maskToRegExp("docs/**");
+    assert.ok(re.test("docs/a.md"));
+    assert.ok(re.test("docs/x/y/z.txt"));
+    assert.ok(!re.test("other/a.md"));
+});
@@ -0,0 +1,45 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Config Files
+   ═══════════════════════════════════════════════════════════════
+   Where QMD UI keeps its own state (~/.config/qmd-ui, respecting
+   XDG_CONFIG_HOME) and how it writes it: to a temp file, then
+   renamed over the real one, so a crash never leaves half a file.
+   Every write goes through one queue, so two saves of the same
+   file can't interleave.
+
+   Usage:
+     import { CONFIG_DIR, writeJsonAtomic } from './configfiles.js';
+     await writeJsonAtomic(path.join(CONFIG_DIR, "history.json"), { version: 1, ...state });
+   ═══════════════════════════════════════════════════════════════ */
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+let writeQueue = Promise.resolve();
+
+// ─── Exported API ─────────────────────────────────────────────
+
+/** ~/.config/qmd-ui, or $XDG_CONFIG_HOME/qmd-ui */
+export const CONFIG_DIR = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"), "qmd-ui");
+
+/**
+ * Save `data` as JSON, creating the directory if needed. The data is
+ * serialized right away, so later changes to it aren't written.
+ * A failed write is logged, not thrown.
+ * @param {string} file - Absolute path
+ * @param {unknown} data
+ * @returns {Promise<void>} Settles once this write (and those queued before it) finished
+ */
+export function writeJsonAtomic(file, data) {
+    const json = JSON.stringify(data, null, 2);
+    writeQueue = writeQueue
+        .then(async () => {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tmp = `${file}.tmp`;
+            await fs.writeFile(tmp, json, "utf-8");
+            await fs.rename(tmp, file);
+        })
+        .catch((err) => console.error(`  ✗ Could not save ${file}:`, err.message));
+    return writeQueue;
+}
@@ -1,78 +1,183 @@
 /* ═══════════════════════════════════════════════════════════════
-   QMD UI — .docx / .txt File Converter
+   QMD UI — Document → Markdown Converter
    ═══════════════════════════════════════════════════════════════
-   Watches collection directories for .docx files and converts
-   them to .md so qmd can index them. Also copies .txt → .md.
+   Watches collection directories for documents qmd can't index
+   (.docx, .pdf, .html, .odt, .rtf, .txt) and converts them to .md
+   so it can. Per-format converters live in ./converters/.
+
+   Each mirror directory keeps a manifest of source hashes, so
+   unchanged files are skipped on restart and mirrors of files
+   deleted while the server was down are cleaned up. Images pulled
+   out of documents land in an assets/ folder next to the .md.
+   Every write inside a collection schedules a debounced `qmd update`
+   so converted files become searchable without a manual re-index.
+
+   The watch list is saved to ~/.config/qmd-ui/converter.json and
+   restored on startup; optionally every collection's source path
+   from qmd's index.yml is watched as well.
 
    Usage:
-     import { startConverter } from './converter.js';
-     startConverter();   // reads collection paths from qmd
+     import { restoreWatchers, watchDir } from './converter.js';
+     await restoreWatchers();   // re-attach saved watches
+     watchDir("/path/to/docs");
    ═══════════════════════════════════════════════════════════════ */
 
 import chokidar from "chokidar";
-import mammoth from "mammoth";
 import fs from "node:fs/promises";
+import { createHash } from "node:crypto";
 import path from "node:path";
-import { execFile } from "node:child_process";
-import { promisify } from "node:util";
-
-const execFileAsync = promisify(execFile);
+import { CONFIG_DIR, writeJsonAtomic } from "./configfiles.js";
+import { startJob } from "./jobs.js";
+import { clearSearchCache } from "./searchcache.js";
+import { getConverter, supportedExtensions } from "./converters/index.js";
+import { buildFrontMatter } from "./frontmatter.js";
+import { getCollectionPaths } from "./qmdconfig.js";
 
 // Mirror directory for converted files — sits alongside originals
 const MIRROR_SUFFIX = "_qmd_converted";
 
-/** Get active collection paths from qmd */
-async function getCollectionPaths() {
-    try {
-        const { stdout } = await execFileAsync("qmd", ["collection", "list"], {
-            timeout: 10_000,
-        });
-        // Parse paths from "name (qmd://name/)" blocks
-        // The path is on the line after the collection header — we need to look at
-        // the qmd source paths which aren't directly in `collection list`.
-        // Instead we'll return an empty array and let the user configure paths via API.
-        return [];
-    } catch {
-        return [];
+// Per-mirror record of what was converted from what (dotfile: qmd won't index it)
+const MANIFEST_FILE = ".qmd-ui-manifest.json";
+
+// Images extracted from documents go here, beside the .md that links them
+const ASSETS_DIR = "assets";
+
+// Wait this long after the last write before re-indexing, so a burst
+// of conversions (initial scan, bulk copy) triggers a single update
+const REINDEX_DEBOUNCE_MS = 5000;
+
+// Where the watch list survives restarts
+const STATE_FILE = path.join(CONFIG_DIR, "converter.json");
+
+let reindexTimer = null;
+
+function isInside(root, target) {
+    const rel = path.relative(root, target);
+    return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+}
+
+/**
+ * Schedule a `qmd update` after a mirror file was written or removed —
+ * only if the file is in a collection, otherwise qmd never sees it.
+ * `qmd update` has no option to limit it to one collection, so this
+ * re-scans every collection, not just the one the file belongs to.
+ * @param {string} outputPath - The mirror file (or directory) that changed
+ */
+function scheduleReindex(outputPath) {
+    if (!getCollectionPaths().some((dir) => isInside(dir, outputPath))) return;
+    // Cached results may point at (or miss) this file already
+    clearSearchCache("converter wrote a file");
+    clearTimeout(reindexTimer);
+    reindexTimer = setTimeout(runReindex, REINDEX_DEBOUNCE_MS);
+}
+
+function runReindex() {
+    reindexTimer = null;
+    const { job, already, error } = startJob("update");
+    if (error) {
+        console.error(`  ✗ Could not start re-index:`, error);
+        return;
+    }
+    if (already) {
+        // An update started before our writes may not see them — try again once it's done
+        reindexTimer = setTimeout(runReindex, REINDEX_DEBOUNCE_MS);
+        return;
+    }
+    console.log(`  🔄 Re-indexing (${job.id}) after converter writes`);
+}
+
+function hashBuffer(buffer) {
+    return createHash("sha256").update(buffer).digest("hex");
+}
+
+/** Write a conversion's assets to assets/ beside the .md; returns their paths */
+async function writeAssets(destPath, assets) {
+    if (assets.length === 0) return [];
+    const assetsDir = path.join(path.dirname(destPath), ASSETS_DIR);
+    await fs.mkdir(assetsDir, { recursive: true });
+    const written = [];
+    for (const asset of assets) {
+        // Names come from the converter — never let one escape assets/
+        const file = path.join(assetsDir, path.basename(asset.name));
+        await fs.writeFile(file, asset.data);
+        written.push(file);
     }
+    return written;
 }
 
-/** Convert a .docx file to .md using mammoth */
-async function convertDocx(srcPath, destPath) {
+/**
+ * Convert one file with its registered converter and write the .md
+ * (and any extracted images), prefixed with front matter that traces
+ * it back to the original.
+ * @param {{ path?: string, mtime?: number }} source - Overrides for uploads,
+ *   where srcPath is a temp file rather than the user's original
+ */
+async function convertWith(converter, srcPath, destPath, source = {}) {
     try {
         const buffer = await fs.readFile(srcPath);
-        const result = await mammoth.convertToMarkdown({ buffer });
+        const stat = await fs.stat(srcPath);
+        const { markdown, warnings, metadata = {}, assets = [] } = await converter.convert(buffer, { srcPath });
+        const sha256 = hashBuffer(buffer);
 
-        // Prepend a source reference
-        const header = `<!-- Converted from: ${path.basename(srcPath)} -->\n\n`;
-        const markdown = header + result.value;
+        const frontMatter = buildFrontMatter({
+            title: metadata.title,
+            author: metadata.author,
+            created: metadata.created,
+            source: source.path || srcPath,
+            source_mtime: new Date(source.mtime || stat.mtimeMs).toISOString(),
+            source_sha256: sha256,
+            converter: converter.name,
+            converter_version: converter.version,
+            converted_at: new Date().toISOString(),
+        });
+        // Keep the old comment too — it's what users and earlier tools grep for
+        const header = `${frontMatter}\n<!-- Converted from: ${path.basename(source.path || srcPath)} -->\n\n`;
 
         await fs.mkdir(path.dirname(destPath), { recursive: true });
-        await fs.writeFile(destPath, markdown, "utf-8");
+        const assetPaths = await writeAssets(destPath, assets);
+        await fs.writeFile(destPath, header + markdown, "utf-8");
+        scheduleReindex(destPath);
 
-        if (result.messages.length > 0) {
-            console.log(`  ⚠ Warnings for ${path.basename(srcPath)}:`, result.messages.map((m) => m.message).join(", "));
+        if (warnings.length > 0) {
+            console.log(`  ⚠ Warnings for ${path.basename(srcPath)}:`, warnings.join(", "));
         }
 
-        return true;
+        return { ok: true, warnings, metadata, assets: assetPaths, sha256, mtime: stat.mtimeMs, size: stat.size };
     } catch (err) {
         console.error(`  ✗ Failed to convert ${path.basename(srcPath)}:`, err.message);
-        return false;
+        return { ok: false, warnings: [], error: err.message };
     }
 }
 
-/** Copy a .txt file as .md */
-async function convertTxt(srcPath, destPath) {
-    try {
-        const content = await fs.readFile(srcPath, "utf-8");
-        const header = `<!-- Converted from: ${path.basename(srcPath)} -->\n\n`;
-        await fs.mkdir(path.dirname(destPath), { recursive: true });
-        await fs.writeFile(destPath, header + content, "utf-8");
-        return true;
-    } catch (err) {
-        console.error(`  ✗ Failed to copy ${path.basename(srcPath)}:`, err.message);
-        return false;
-    }
+// ─── Conversion history ───────────────────────────────────────
+
+const MAX_RECENT = 50;
+const recentConversions = []; // newest first
+
+/**
+ * Convert one file by extension and remember the outcome for the UI.
+ * @param {object} options
+ * @param {"watch"|"manual"|"upload"} options.origin - What triggered the conversion
+ * @param {string} [options.sourceLabel] - Shown instead of srcPath (uploads)
+ * @param {number} [options.sourceMtime] - Original file's mtime (uploads)
+ */
+async function runConversion(srcPath, destPath, { origin, sourceLabel = srcPath, sourceMtime } = {}) {
+    const source = sourceLabel !== srcPath ? { path: sourceLabel, mtime: sourceMtime } : {};
+    const result = await convertWith(getConverter(srcPath), srcPath, destPath, source);
+
+    recentConversions.unshift({
+        source: sourceLabel,
+        title: result.metadata?.title || null,
+        output: destPath,
+        origin,
+        ok: result.ok,
+        warnings: result.warnings,
+        error: result.error || null,
+        at: Date.now(),
+    });
+    if (recentConversions.length > MAX_RECENT) recentConversions.length = MAX_RECENT;
+
+    return result;
 }
 
 /** Compute the mirror path for a source file */
@@ -83,8 +188,89 @@ function getMirrorPath(watchDir, filePath) {
     return path.join(mirrorDir, parsed.dir, parsed.name + ".md");
 }
 
+// ─── Mirror manifests ─────────────────────────────────────────
+
+/**
+ * Load a mirror's manifest: { files: { "<source relative to watch dir>":
+ * { sha256, mtime, size, output, assets, converter, converterVersion } } }
+ * Paths in an entry are relative to the mirror directory.
+ */
+async function loadManifest(mirrorDir) {
+    const manifest = { mirrorDir, files: {}, saveTimer: null };
+    try {
+        const saved = JSON.parse(await fs.readFile(path.join(mirrorDir, MANIFEST_FILE), "utf-8"));
+        if (saved && typeof saved.files === "object") manifest.files = saved.files;
+    } catch (err) {
+        if (err.code !== "ENOENT") console.error(`  ✗ Ignoring unreadable manifest in ${mirrorDir}:`, err.message);
+    }
+    return manifest;
+}
+
+/** Write the manifest shortly after the last change — an initial scan touches every entry */
+function saveManifestSoon(manifest) {
+    clearTimeout(manifest.saveTimer);
+    manifest.saveTimer = setTimeout(() => {
+        writeJsonAtomic(path.join(manifest.mirrorDir, MANIFEST_FILE), { version: 1, files: manifest.files });
+    }, 1000);
+}
+
+/**
+ * Is the mirror already current for this source? A matching mtime and
+ * size is trusted without reading; otherwise the content hash decides
+ * (a touched-but-identical file only gets its mtime refreshed).
+ */
+async function isUpToDate(manifest, relName, filePath, mirrorPath, converter) {
+    const entry = manifest.files[relName];
+    if (!entry || entry.converter !== converter.name || entry.converterVersion !== converter.version) return false;
+
+    try {
+        await fs.access(mirrorPath);
+        const stat = await fs.stat(filePath);
+        if (stat.mtimeMs === entry.mtime && stat.size === entry.size) return true;
+
+        if (hashBuffer(await fs.readFile(filePath)) !== entry.sha256) return false;
+        entry.mtime = stat.mtimeMs;
+        entry.size = stat.size;
+        saveManifestSoon(manifest);
+        return true;
+    } catch {
+        return false; // mirror or source missing — convert (or let unlink handle it)
+    }
+}
+
+/** Delete extracted assets that a mirror no longer links to */
+async function removeAssets(manifest, assets = [], keep = []) {
+    for (const rel of assets) {
+        if (keep.includes(rel)) continue;
+        await fs.rm(path.join(manifest.mirrorDir, rel), { force: true });
+    }
+}
+
+/** Remove mirrors whose sources disappeared while nobody was watching */
+async function removeOrphans(manifest, dirPath) {
+    let removed = 0;
+    for (const [relName, entry] of Object.entries(manifest.files)) {
+        try {
+            await fs.access(path.join(dirPath, relName));
+            continue;
+        } catch {
+            // source is gone
+        }
+        const mirrorPath = path.join(manifest.mirrorDir, entry.output);
+        await fs.rm(mirrorPath, { force: true });
+        await removeAssets(manifest, entry.assets);
+        delete manifest.files[relName];
+        removed++;
+        console.log(`  🗑 Removed orphaned mirror: ${path.relative(dirPath, mirrorPath)}`);
+        scheduleReindex(mirrorPath);
+    }
+    if (removed > 0) saveManifestSoon(manifest);
+}
+
 /** Start watching a single directory */
 function watchDirectory(dirPath) {
+    const manifestReady = loadManifest(dirPath.replace(/\/?$/, MIRROR_SUFFIX));
+
     const watcher = chokidar.watch(dirPath, {
         ignored: [
             /(^|[\/\\])\./,           // dotfiles
@@ -92,7 +278,7 @@ function watchDirectory(dirPath) {
             new RegExp(MIRROR_SUFFIX), // don't watch mirror dirs
         ],
         persistent: true,
-        ignoreInitial: false,        // process existing files on startup
+        ignoreInitial: false,        // scan existing files on startup — the manifest skips unchanged ones
         awaitWriteFinish: {
             stabilityThreshold: 1000,
             pollInterval: 200,
@@ -100,33 +286,53 @@ function watchDirectory(dirPath) {
     });
 
     const processFile = async (filePath) => {
-        const ext = path.extname(filePath).toLowerCase();
-        if (ext !== ".docx" && ext !== ".txt") return;
+        const converter = getConverter(filePath);
+        if (!converter) return;
 
+        const manifest = await manifestReady;
         const mirrorPath = getMirrorPath(dirPath, filePath);
         const relName = path.relative(dirPath, filePath);
+        if (await isUpToDate(manifest, relName, filePath, mirrorPath, converter)) return;
 
-        if (ext === ".docx") {
-            console.log(`  📄 Converting: ${relName}`);
-            const ok = await convertDocx(filePath, mirrorPath);
-            if (ok) console.log(`  ✓ → ${path.relative(dirPath, mirrorPath)}`);
-        } else if (ext === ".txt") {
-            console.log(`  📝 Copying: ${relName}`);
-            const ok = await convertTxt(filePath, mirrorPath);
-            if (ok) console.log(`  ✓ → ${path.relative(dirPath, mirrorPath)}`);
-        }
+        console.log(`  📄 Converting (${converter.name}): ${relName}`);
+        const result = await runConversion(filePath, mirrorPath, { origin: "watch" });
+        if (!result.ok) return;
+
+        console.log(`  ✓ → ${path.relative(dirPath, mirrorPath)}`);
+        const assets = result.assets.map((a) => path.relative(manifest.mirrorDir, a));
+        await removeAssets(manifest, manifest.files[relName]?.assets, assets);
+        manifest.files[relName] = {
+            sha256: result.sha256,
+            mtime: result.mtime,
+            size: result.size,
+            output: path.relative(manifest.mirrorDir, mirrorPath),
+            assets,
+            converter: converter.name,
+            converterVersion: converter.version,
+        };
+        saveManifestSoon(manifest);
     };
 
     watcher
         .on("add", processFile)
         .on("change", processFile)
+        .on("ready", async () => {
+            await removeOrphans(await manifestReady, dirPath);
+        })
         .on("unlink", async (filePath) => {
-            const ext = path.extname(filePath).toLowerCase();
-            if (ext !== ".docx" && ext !== ".txt") return;
+            if (!getConverter(filePath)) return;
             const mirrorPath = getMirrorPath(dirPath, filePath);
+            const relName = path.relative(dirPath, filePath);
+            const manifest = await manifestReady;
+            if (manifest.files[relName]) {
+                await removeAssets(manifest, manifest.files[relName].assets);
+                delete manifest.files[relName];
+                saveManifestSoon(manifest);
+            }
             try {
                 await fs.unlink(mirrorPath);
                 console.log(`  🗑 Removed mirror: ${path.relative(dirPath, mirrorPath)}`);
+                scheduleReindex(mirrorPath);
             } catch {
                 // mirror didn't exist, that's fine
             }
@@ -138,77 +344,198 @@ function watchDirectory(dirPath) {
     return watcher;
 }
 
+// ─── Persistence ──────────────────────────────────────────────
+
+const activeWatchers = new Map(); // dirPath → { watcher, source: "manual" | "collection" }
+
+let state = { watched: [], autoWatchCollections: false };
+let restoreReport = { restored: [], failed: [], at: null };
+
+async function loadState() {
+    try {
+        const saved = JSON.parse(await fs.readFile(STATE_FILE, "utf-8"));
+        return {
+            watched: Array.isArray(saved.watched) ? saved.watched.filter((d) => typeof d === "string") : [],
+            autoWatchCollections: saved.autoWatchCollections === true,
+        };
+    } catch (err) {
+        if (err.code !== "ENOENT") console.error(`  ✗ Could not read ${STATE_FILE}:`, err.message);
+        return { watched: [], autoWatchCollections: false };
+    }
+}
+
+/** Write the watch list */
+function saveState() {
+    return writeJsonAtomic(STATE_FILE, { version: 1, ...state });
+}
+
+/** Attach a watcher unless one exists; returns an error message if the dir is unusable */
+async function attachWatcher(dirPath, source) {
+    try {
+        const stat = await fs.stat(dirPath);
+        if (!stat.isDirectory()) return "Not a directory";
+    } catch (err) {
+        return err.code === "ENOENT" ? "Directory not found" : err.message;
+    }
+    if (!activeWatchers.has(dirPath)) {
+        console.log(`\n  👁 Watching (${source}): ${dirPath}`);
+        activeWatchers.set(dirPath, { watcher: watchDirectory(dirPath), source });
+    }
+    return null;
+}
+
+async function watchCollectionPaths() {
+    const results = [];
+    for (const dir of getCollectionPaths()) {
+        const error = await attachWatcher(dir, "collection");
+        results.push({ path: dir, source: "collection", error });
+    }
+    return results;
+}
+
 // ─── Exported API ─────────────────────────────────────────────
 
-const activeWatchers = new Map(); // dirPath → watcher
+/**
+ * Re-attach every saved watch (and collection paths if enabled).
+ * Call once on startup. Directories that are missing stay in the
+ * saved list — a drive may just not be mounted yet.
+ * @returns {Promise<{ restored: object[], failed: object[] }>}
+ */
+export async function restoreWatchers() {
+    state = await loadState();
+
+    const results = [];
+    for (const dir of state.watched) {
+        const error = await attachWatcher(dir, "manual");
+        results.push({ path: dir, source: "manual", error });
+    }
+    if (state.autoWatchCollections) results.push(...(await watchCollectionPaths()));
+
+    restoreReport = {
+        restored: results.filter((r) => !r.error).map(({ path: p, source }) => ({ path: p, source })),
+        failed: results.filter((r) => r.error).map(({ path: p, source, error }) => ({ path: p, source, error })),
+        at: Date.now(),
+    };
+    for (const f of restoreReport.failed) {
+        console.error(`  ✗ Could not restore watch on ${f.path}: ${f.error}`);
+    }
+    return restoreReport;
+}
 
 /**
- * Start watching a directory for .docx/.txt files.
+ * Start watching a directory for convertible documents.
  * Converts them to .md in a sibling mirror directory.
+ * The directory is added to the saved watch list.
  * @param {string} dirPath - Absolute path to watch
  * @returns {{ mirrorDir: string }} Info about the mirror directory
  */
 export function watchDir(dirPath) {
     const resolved = path.resolve(dirPath);
-    if (activeWatchers.has(resolved)) {
-        return { mirrorDir: resolved.replace(/\/?$/, MIRROR_SUFFIX), already: true };
+    const mirrorDir = resolved.replace(/\/?$/, MIRROR_SUFFIX);
+
+    if (!state.watched.includes(resolved)) {
+        state.watched.push(resolved);
+        saveState();
     }
 
-    console.log(`\n  👁 Watching: ${resolved}`);
-    const watcher = watchDirectory(resolved);
-    activeWatchers.set(resolved, watcher);
+    const existing = activeWatchers.get(resolved);
+    if (existing) {
+        existing.source = "manual"; // now pinned even if auto-watching is turned off
+        return { mirrorDir, already: true };
+    }
 
-    const mirrorDir = resolved.replace(/\/?$/, MIRROR_SUFFIX);
+    console.log(`\n  👁 Watching: ${resolved}`);
+    activeWatchers.set(resolved, { watcher: watchDirectory(resolved), source: "manual" });
     return { mirrorDir, already: false };
 }
 
 /**
- * Stop watching a directory.
+ * Stop watching a directory and drop it from the saved watch list.
  * @param {string} dirPath
  */
 export async function unwatchDir(dirPath) {
     const resolved = path.resolve(dirPath);
-    const watcher = activeWatchers.get(resolved);
-    if (watcher) {
-        await watcher.close();
+    if (state.watched.includes(resolved)) {
+        state.watched = state.watched.filter((d) => d !== resolved);
+        saveState();
+    }
+
+    const entry = activeWatchers.get(resolved);
+    if (entry) {
+        await entry.watcher.close();
         activeWatchers.delete(resolved);
         console.log(`  ⏹ Stopped watching: ${resolved}`);
     }
 }
 
+/**
+ * Turn automatic watching of collection source paths on or off.
+ * Turning it on starts watching them immediately.
+ * @param {boolean} enabled
+ */
+export async function setAutoWatchCollections(enabled) {
+    state.autoWatchCollections = Boolean(enabled);
+    await saveState();
+
+    if (state.autoWatchCollections) {
+        return { watched: await watchCollectionPaths() };
+    }
+    for (const [dir, entry] of activeWatchers) {
+        if (entry.source !== "collection") continue;
+        await entry.watcher.close();
+        activeWatchers.delete(dir);
+        console.log(`  ⏹ Stopped watching: ${dir}`);
+    }
+    return { watched: [] };
+}
+
 /**
  * Get list of currently watched directories.
  */
 export function getWatchedDirs() {
-    return Array.from(activeWatchers.keys()).map((dir) => ({
+    return Array.from(activeWatchers.entries()).map(([dir, { source }]) => ({
         path: dir,
         mirrorDir: dir.replace(/\/?$/, MIRROR_SUFFIX),
+        source,
     }));
 }
 
+/**
+ * Converter settings and the outcome of the last startup restore.
+ */
+export function getConverterState() {
+    return {
+        configFile: STATE_FILE,
+        autoWatchCollections: state.autoWatchCollections,
+        restore: restoreReport,
+    };
+}
+
+/**
+ * Conversions since the server started, newest first — including
+ * mammoth warnings so the UI can show what didn't survive.
+ */
+export function getRecentConversions() {
+    return recentConversions.slice();
+}
+
 /**
  * Convert a single file on-demand (without watching).
- * @param {string} filePath - Absolute path to .docx or .txt
+ * @param {string} filePath - Absolute path to a supported document
  * @param {string} outputDir - Directory to save the .md file
- * @returns {Promise<{ok: boolean, outputPath?: string, error?: string}>}
+ * @param {{ origin?: "manual"|"upload", sourceLabel?: string, sourceMtime?: number }} [options]
+ * @returns {Promise<{ok: boolean, outputPath?: string, warnings?: string[], error?: string}>}
  */
-export async function convertFile(filePath, outputDir) {
-    const ext = path.extname(filePath).toLowerCase();
-    if (ext !== ".docx" && ext !== ".txt") {
-        return { ok: false, error: "Unsupported file type. Only .docx and .txt are supported." };
+export async function convertFile(filePath, outputDir, { origin = "manual", sourceLabel, sourceMtime } = {}) {
+    if (!getConverter(filePath)) {
+        return { ok: false, error: `Unsupported file type. Supported: ${supportedExtensions().join(", ")}` };
     }
 
     const parsed = path.parse(filePath);
     const outputPath = path.join(outputDir || path.dirname(filePath), parsed.name + ".md");
 
-    let ok;
-    if (ext === ".docx") {
-        ok = await convertDocx(filePath, outputPath);
-    } else {
-        ok = await convertTxt(filePath, outputPath);
-    }
-
-    return ok
-        ? { ok: true, outputPath }
+    const result = await runConversion(filePath, outputPath, { origin, sourceLabel, sourceMtime });
+    return result.ok
+        ? { ok: true, outputPath, warnings: result.warnings }
         : { ok: false, error: `Failed to convert ${path.basename(filePath)}` };
 }
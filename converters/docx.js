@@ -0,0 +1,79 @@
+/**
+ * Word documents (.docx) → Markdown via mammoth, plus core properties
+ * (title, author, created). Embedded images are returned as assets
+ * instead of base64 data URIs, which bloat the .md and pollute BM25.
+ */
+
+import mammoth from "mammoth";
+import JSZip from "jszip";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { parseXml, firstText, DC_NS, DCTERMS_NS } from "./xml.js";
+
+const IMAGE_EXTENSIONS = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/gif": "gif",
+    "image/bmp": "bmp",
+    "image/tiff": "tiff",
+    "image/svg+xml": "svg",
+    "image/webp": "webp",
+    "image/x-emf": "emf",
+    "image/x-wmf": "wmf",
+};
+
+/** Read docProps/core.xml — missing or broken properties just mean no metadata */
+async function coreProperties(buffer) {
+    try {
+        const zip = await JSZip.loadAsync(buffer);
+        const core = zip.file("docProps/core.xml");
+        if (!core) return {};
+        const doc = parseXml(await core.async("string"));
+        return {
+            title: firstText(doc, DC_NS, "title"),
+            author: firstText(doc, DC_NS, "creator"),
+            created: firstText(doc, DCTERMS_NS, "created"),
+        };
+    } catch {
+        return {};
+    }
+}
+
+/** "Q3 Plan (final).docx" → "q3-plan-final" — safe, stable asset name prefix */
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40) || "image";
+}
+
+export default {
+    name: "docx",
+    version: "1.2.0",
+    extensions: [".docx"],
+
+    async convert(buffer, { srcPath }) {
+        const prefix = slugify(path.parse(srcPath).name);
+        const assets = [];
+
+        const convertImage = mammoth.images.imgElement(async (image) => {
+            const data = await image.read();
+            const ext = IMAGE_EXTENSIONS[image.contentType] || "bin";
+            // Content-addressed, so an unchanged image keeps its name across conversions
+            const hash = createHash("sha256").update(data).digest("hex").slice(0, 12);
+            const name = `${prefix}-${hash}.${ext}`;
+            if (!assets.some((a) => a.name === name)) assets.push({ name, data, contentType: image.contentType });
+            // Alt text stays in the Markdown, so it's indexed like any other text
+            return { src: `assets/${name}`, alt: image.altText?.trim() || "" };
+        });
+
+        const result = await mammoth.convertToMarkdown({ buffer }, {
+            convertImage,
+            // Figure captions are plain paragraphs — keep their text without a style warning
+            styleMap: ["p[style-name='Caption'] => p:fresh"],
+        });
+        return {
+            markdown: result.value,
+            warnings: result.messages.map((m) => m.message),
+            metadata: await coreProperties(buffer),
+            assets,
+        };
+    },
+};
@@ -0,0 +1,48 @@
+/** Saved web pages (.html / .htm) → Markdown via turndown */
+
+import TurndownService from "turndown";
+
+const turndown = new TurndownService({
+    headingStyle: "atx",
+    codeBlockStyle: "fenced",
+    bulletListMarker: "-",
+});
+// Nothing searchable lives in these — keep them out of the index
+turndown.remove(["head", "title", "script", "style", "noscript", "iframe", "svg"]);
+
+// Named entities worth decoding in a title or author; others are left as written
+const NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+/** Decode &name;, &#123; and &#x7b; — a code point that doesn't exist becomes U+FFFD */
+function decodeEntities(str) {
+    return str.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (entity, dec, hex, name) => {
+        if (name) return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+        const code = dec ? Number(dec) : parseInt(hex, 16);
+        return code <= 0x10ffff ? String.fromCodePoint(code) : "\uFFFD";
+    });
+}
+
+/** <title> and <meta name="author"> from the page head */
+function headMetadata(html) {
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+    const author = html.match(/<meta\s+[^>]*name=["']author["'][^>]*content=["']([^"']*)["']/i)?.[1]
+        || html.match(/<meta\s+[^>]*content=["']([^"']*)["'][^>]*name=["']author["']/i)?.[1];
+    return {
+        title: title ? decodeEntities(title.replace(/\s+/g, " ").trim()) || null : null,
+        author: author ? decodeEntities(author.trim()) || null : null,
+        created: null,
+    };
+}
+
+export default {
+    name: "html",
+    version: "1.1.1",
+    extensions: [".html", ".htm"],
+
+    async convert(buffer) {
+        const html = buffer.toString("utf-8");
+        const markdown = turndown.turndown(html).trim();
+        const warnings = markdown ? [] : ["No text content found"];
+        return { markdown, warnings, metadata: headMetadata(html) };
+    },
+};
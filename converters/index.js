@@ -0,0 +1,62 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Converter Registry
+   ═══════════════════════════════════════════════════════════════
+   Maps file extensions to converters that turn a file's bytes
+   into Markdown. converter.js looks files up here, so adding a
+   format means adding a module and registering it below.
+
+   A converter is:
+     {
+       name: "docx",
+       version: "1.0.0",
+       extensions: [".docx"],
+       convert: async (buffer, { srcPath }) => ({ markdown, warnings, metadata?, assets? }),
+     }
+
+   `metadata` is optional: { title, author, created } taken from
+   the document itself, written into the .md's front matter.
+   `assets` is optional: [{ name, data }] files (e.g. images) that
+   the Markdown links to as `assets/<name>`; they're written to an
+   assets/ folder next to the .md.
+   ═══════════════════════════════════════════════════════════════ */
+
+import path from "node:path";
+import docx from "./docx.js";
+import txt from "./txt.js";
+import pdf from "./pdf.js";
+import html from "./html.js";
+import odt from "./odt.js";
+import rtf from "./rtf.js";
+
+const registry = new Map(); // ".ext" → converter
+
+/**
+ * Register a converter for each of its extensions.
+ * A later registration for the same extension replaces the earlier one.
+ * @param {{ name: string, version: string, extensions: string[], convert: Function }} converter
+ */
+export function registerConverter(converter) {
+    for (const ext of converter.extensions) {
+        registry.set(ext.toLowerCase(), converter);
+    }
+}
+
+/**
+ * Find the converter for a file, by extension.
+ * @param {string} filePath
+ * @returns {object|null}
+ */
+export function getConverter(filePath) {
+    return registry.get(path.extname(filePath).toLowerCase()) || null;
+}
+
+/**
+ * Every extension that can be converted, e.g. [".docx", ".txt", ...]
+ */
+export function supportedExtensions() {
+    return Array.from(registry.keys());
+}
+
+for (const converter of [docx, txt, pdf, html, odt, rtf]) {
+    registerConverter(converter);
+}
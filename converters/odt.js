@@ -0,0 +1,157 @@
+/** OpenDocument text (.odt) → Markdown by walking content.xml; metadata from meta.xml */
+
+import JSZip from "jszip";
+import { parseXml, firstText, DC_NS } from "./xml.js";
+
+const TEXT_NS = "urn:oasis:names:tc:opendocument:xmlns:text:1.0";
+const TABLE_NS = "urn:oasis:names:tc:opendocument:xmlns:table:1.0";
+const XLINK_NS = "http://www.w3.org/1999/xlink";
+const META_NS = "urn:oasis:names:tc:opendocument:xmlns:meta:1.0";
+
+const ELEMENT = 1;
+const TEXT = 3;
+
+function elements(node) {
+    return Array.from(node.childNodes).filter((n) => n.nodeType === ELEMENT);
+}
+
+/** Text of a paragraph or heading, with links and spacing elements applied */
+function inlineText(node) {
+    let out = "";
+    for (const child of Array.from(node.childNodes)) {
+        if (child.nodeType === TEXT) {
+            out += child.nodeValue;
+            continue;
+        }
+        if (child.nodeType !== ELEMENT) continue;
+        if (child.namespaceURI !== TEXT_NS) {
+            out += inlineText(child);
+            continue;
+        }
+        switch (child.localName) {
+            case "s":
+                out += " ".repeat(parseInt(child.getAttributeNS(TEXT_NS, "c"), 10) || 1);
+                break;
+            case "tab":
+                out += "\t";
+                break;
+            case "line-break":
+                out += "  \n";
+                break;
+            case "a": {
+                const label = inlineText(child);
+                const href = child.getAttributeNS(XLINK_NS, "href");
+                out += href ? `[${label}](${href})` : label;
+                break;
+            }
+            case "note":
+            case "bookmark":
+            case "bookmark-start":
+            case "bookmark-end":
+            case "soft-page-break":
+                break;
+            default:
+                out += inlineText(child);
+        }
+    }
+    return out;
+}
+
+function listToMarkdown(list, depth, out) {
+    for (const item of elements(list)) {
+        if (item.localName !== "list-item" && item.localName !== "list-header") continue;
+        for (const child of elements(item)) {
+            if (child.localName === "list") {
+                listToMarkdown(child, depth + 1, out);
+            } else {
+                const text = inlineText(child).trim();
+                if (text) out.push(`${"  ".repeat(depth)}- ${text}`);
+            }
+        }
+    }
+}
+
+function tableToMarkdown(table) {
+    const rows = [];
+    const collectRows = (node) => {
+        for (const child of elements(node)) {
+            if (child.namespaceURI !== TABLE_NS) continue;
+            if (child.localName === "table-row") {
+                rows.push(elements(child)
+                    .filter((c) => c.localName === "table-cell")
+                    .map((c) => elements(c).map(inlineText).join(" ").trim().replace(/\|/g, "\\|")));
+            } else if (child.localName.endsWith("rows") || child.localName === "table-row-group") {
+                collectRows(child);
+            }
+        }
+    };
+    collectRows(table);
+    if (rows.length === 0) return "";
+
+    const width = Math.max(...rows.map((r) => r.length));
+    const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || "").join(" | ")} |`;
+    return [line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n");
+}
+
+/** Walk block-level content, appending Markdown blocks to `out` */
+function blocksToMarkdown(node, out) {
+    for (const child of elements(node)) {
+        if (child.namespaceURI === TABLE_NS && child.localName === "table") {
+            const table = tableToMarkdown(child);
+            if (table) out.push(table);
+            continue;
+        }
+        if (child.namespaceURI !== TEXT_NS) {
+            blocksToMarkdown(child, out);
+            continue;
+        }
+        if (child.localName === "h") {
+            const level = Math.min(Math.max(parseInt(child.getAttributeNS(TEXT_NS, "outline-level"), 10) || 1, 1), 6);
+            const text = inlineText(child).trim();
+            if (text) out.push(`${"#".repeat(level)} ${text}`);
+        } else if (child.localName === "p") {
+            const text = inlineText(child).trim();
+            if (text) out.push(text);
+        } else if (child.localName === "list") {
+            const items = [];
+            listToMarkdown(child, 0, items);
+            if (items.length) out.push(items.join("\n"));
+        } else {
+            // sections, indexes, tracked-change wrappers …
+            blocksToMarkdown(child, out);
+        }
+    }
+}
+
+async function metaProperties(zip) {
+    const meta = zip.file("meta.xml");
+    if (!meta) return {};
+    const doc = parseXml(await meta.async("string"));
+    return {
+        title: firstText(doc, DC_NS, "title"),
+        author: firstText(doc, META_NS, "initial-creator") || firstText(doc, DC_NS, "creator"),
+        created: firstText(doc, META_NS, "creation-date"),
+    };
+}
+
+export default {
+    name: "odt",
+    version: "1.1.0",
+    extensions: [".odt"],
+
+    async convert(buffer) {
+        const zip = await JSZip.loadAsync(buffer);
+        const contentFile = zip.file("content.xml");
+        if (!contentFile) throw new Error("Not an OpenDocument file (content.xml missing)");
+
+        const warnings = [];
+        const doc = parseXml(await contentFile.async("string"), warnings);
+
+        const body = doc.getElementsByTagNameNS("urn:oasis:names:tc:opendocument:xmlns:office:1.0", "text")[0];
+        const blocks = [];
+        if (body) blocksToMarkdown(body, blocks);
+        if (blocks.length === 0) warnings.push("No text content found");
+
+        return { markdown: blocks.join("\n\n"), warnings, metadata: await metaProperties(zip) };
+    },
+};
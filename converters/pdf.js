@@ -0,0 +1,73 @@
+/** PDF (.pdf) → plain text per page via pdf.js. Scanned PDFs have no text layer. */
+
+// pdf.js is large — only load it the first time a PDF shows up
+let pdfjsPromise = null;
+function loadPdfjs() {
+    pdfjsPromise ??= import("pdfjs-dist/legacy/build/pdf.mjs");
+    return pdfjsPromise;
+}
+
+/** PDF dates look like "D:20240131120000+01'00'" — turn them into ISO 8601 */
+function parsePdfDate(raw) {
+    const m = typeof raw === "string" && raw.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+    if (!m) return null;
+    const [, y, mo = "01", d = "01", h = "00", mi = "00", s = "00", tz] = m;
+    const zone = !tz || tz === "Z" ? "Z" : `${tz.slice(0, 3)}:${tz.slice(3).replace(/'/g, "") || "00"}`;
+    const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${zone}`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/** Join a page's text items, keeping the line breaks pdf.js reports */
+function pageText(content) {
+    let text = "";
+    for (const item of content.items) {
+        if (typeof item.str !== "string") continue;
+        text += item.str;
+        if (item.hasEOL) text += "\n";
+    }
+    // Single line breaks inside a paragraph become spaces; blank lines stay
+    return text
+        .split(/\n{2,}/)
+        .map((para) => para.replace(/\s*\n\s*/g, " ").trim())
+        .filter(Boolean)
+        .join("\n\n");
+}
+
+export default {
+    name: "pdf",
+    version: "1.1.0",
+    extensions: [".pdf"],
+
+    async convert(buffer) {
+        const pdfjs = await loadPdfjs();
+        const doc = await pdfjs.getDocument({
+            data: new Uint8Array(buffer),
+            isEvalSupported: false,
+            useSystemFonts: false,
+            verbosity: 0,
+        }).promise;
+
+        try {
+            const pages = [];
+            const warnings = [];
+            for (let n = 1; n <= doc.numPages; n++) {
+                const page = await doc.getPage(n);
+                const text = pageText(await page.getTextContent());
+                if (text) pages.push(text);
+                else warnings.push(`Page ${n} has no text layer`);
+                page.cleanup();
+            }
+            if (pages.length === 0) warnings.unshift("No text found — the PDF may be scanned images");
+
+            const { info = {} } = await doc.getMetadata().catch(() => ({}));
+            const metadata = {
+                title: info.Title?.trim() || null,
+                author: info.Author?.trim() || null,
+                created: parsePdfDate(info.CreationDate),
+            };
+            return { markdown: pages.join("\n\n---\n\n"), warnings, metadata };
+        } finally {
+            await doc.destroy();
+        }
+    },
+};
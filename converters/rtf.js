@@ -0,0 +1,107 @@
+/** Rich Text Format (.rtf) → plain text. Formatting is dropped; paragraphs are kept. */
+
+// Groups whose content is metadata or binary, not document text
+const SKIP_DESTINATIONS = new Set([
+    "fonttbl", "colortbl", "stylesheet", "listtable", "listoverridetable", "info",
+    "pict", "object", "header", "footer", "headerl", "headerr", "footerl", "footerr",
+    "generator", "rsidtbl", "themedata", "colorschememapping", "latentstyles", "datastore",
+    "xmlnstbl", "mmathPr", "filetbl", "revtbl",
+]);
+
+// Windows-1252 bytes 0x80–0x9F, which differ from Latin-1
+const CP1252 = {
+    0x80: "€", 0x82: "‚", 0x83: "ƒ", 0x84: "„", 0x85: "…", 0x86: "†", 0x87: "‡", 0x88: "ˆ",
+    0x89: "‰", 0x8a: "Š", 0x8b: "‹", 0x8c: "Œ", 0x8e: "Ž", 0x91: "‘", 0x92: "’", 0x93: "“",
+    0x94: "”", 0x95: "•", 0x96: "–", 0x97: "—", 0x98: "˜", 0x99: "™", 0x9a: "š", 0x9b: "›",
+    0x9c: "œ", 0x9e: "ž", 0x9f: "Ÿ",
+};
+
+function decodeByte(code) {
+    return CP1252[code] || String.fromCharCode(code);
+}
+
+/**
+ * Walk the RTF token stream, tracking group state so skipped
+ * destinations and \uN fallback characters don't leak into the text.
+ */
+function rtfToText(rtf) {
+    const token = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|\r?\n|([^\\{}\r\n]+)/g;
+    const stack = [];
+    let state = { skip: false, uc: 1 };
+    let pendingSkip = 0; // fallback chars still to drop after \uN
+    let out = "";
+
+    // Only literal characters count as \uN fallbacks; control words end the run
+    const emit = (text, literal = false) => {
+        if (state.skip) return;
+        if (!literal) pendingSkip = 0;
+        if (pendingSkip > 0) {
+            const drop = Math.min(pendingSkip, text.length);
+            pendingSkip -= drop;
+            text = text.slice(drop);
+        }
+        out += text;
+    };
+
+    let m;
+    while ((m = token.exec(rtf)) !== null) {
+        const [, word, param, hex, symbol, brace, text] = m;
+        if (brace === "{") {
+            stack.push(state);
+            state = { ...state };
+        } else if (brace === "}") {
+            state = stack.pop() || { skip: false, uc: 1 };
+            pendingSkip = 0;
+        } else if (word) {
+            if (SKIP_DESTINATIONS.has(word)) state.skip = true;
+            else if (word === "par" || word === "sect") emit("\n\n");
+            else if (word === "line") emit("\n");
+            else if (word === "tab") emit("\t");
+            else if (word === "cell") emit(" | ");
+            else if (word === "row") emit("\n");
+            else if (word === "emdash") emit("—");
+            else if (word === "endash") emit("–");
+            else if (word === "bullet") emit("•");
+            else if (word === "lquote") emit("‘");
+            else if (word === "rquote") emit("’");
+            else if (word === "ldblquote") emit("“");
+            else if (word === "rdblquote") emit("”");
+            else if (word === "uc") state.uc = parseInt(param, 10) || 0;
+            else if (word === "u") {
+                let code = parseInt(param, 10);
+                if (code < 0) code += 65536;
+                emit(String.fromCharCode(code));
+                pendingSkip = state.skip ? 0 : state.uc;
+            }
+        } else if (hex) {
+            emit(decodeByte(parseInt(hex, 16)), true);
+        } else if (symbol) {
+            if (symbol === "*") state.skip = true; // {\*\destination ...} — unknown to us, ignore
+            else if (symbol === "~") emit(" ");
+            else if (symbol === "-" || symbol === "_") emit(symbol === "_" ? "-" : "");
+            else if (symbol === "\\" || symbol === "{" || symbol === "}") emit(symbol);
+            else if (symbol === "\n" || symbol === "\r") emit("\n\n");
+        } else if (text) {
+            emit(text, true);
+        }
+    }
+    return out;
+}
+
+export default {
+    name: "rtf",
+    version: "1.0.0",
+    extensions: [".rtf"],
+
+    async convert(buffer) {
+        const source = buffer.toString("latin1");
+        if (!source.startsWith("{\\rtf")) throw new Error("Not an RTF file");
+
+        const markdown = rtfToText(source)
+            .split(/\n{2,}/)
+            .map((para) => para.replace(/[ \t]+\n/g, "\n").trim())
+            .filter(Boolean)
+            .join("\n\n");
+        return { markdown, warnings: markdown ? [] : ["No text content found"] };
+    },
+};
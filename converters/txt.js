@@ -0,0 +1,11 @@
+/** Plain text (.txt) — copied through unchanged */
+
+export default {
+    name: "txt",
+    version: "1.0.0",
+    extensions: [".txt"],
+
+    async convert(buffer) {
+        return { markdown: buffer.toString("utf-8"), warnings: [] };
+    },
+};
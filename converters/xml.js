@@ -0,0 +1,28 @@
+/** Small XML helpers shared by the zip-based converters (docx, odt) */
+
+import { DOMParser } from "@xmldom/xmldom";
+
+/**
+ * Parse an XML string. Parser errors are collected into `warnings`
+ * instead of being printed.
+ */
+export function parseXml(xml, warnings = []) {
+    return new DOMParser({
+        errorHandler: {
+            warning: () => {},
+            error: (msg) => warnings.push(msg),
+            fatalError: (msg) => warnings.push(msg),
+        },
+    }).parseFromString(xml, "text/xml");
+}
+
+/** Trimmed text of the first element with this namespace + local name, or null */
+export function firstText(doc, ns, localName) {
+    const el = doc.getElementsByTagNameNS(ns, localName)[0];
+    const text = el?.textContent?.trim();
+    return text || null;
+}
+
+/** Dublin Core namespaces used by both OOXML and ODF metadata */
+export const DC_NS = "http://purl.org/dc/elements/1.1/";
+export const DCTERMS_NS = "http://purl.org/dc/terms/";
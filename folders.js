@@ -0,0 +1,128 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Folder Browser
+   ═══════════════════════════════════════════════════════════════
+   Lists directories so collection and watch paths can be picked
+   instead of typed. Browsing is limited to allowed roots: the home
+   directory by default, or the QMD_UI_ALLOWED_ROOTS list (split
+   on ":" — ";" on Windows). Paths are checked after resolving
+   symlinks, so a link can't lead outside a root.
+
+   Usage:
+     import { listFolder } from './folders.js';
+     const { entries } = await listFolder("~/Documents");
+   ═══════════════════════════════════════════════════════════════ */
+
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+// A folder with more subfolders than this is cut off (and flagged)
+const MAX_ENTRIES = 500;
+
+/** Errors for paths that may not be browsed carry code "EFORBIDDEN" (routes send 403) */
+function forbidden(message) {
+    return Object.assign(new Error(message), { code: "EFORBIDDEN" });
+}
+
+/** "~/x" → "/home/me/x" */
+function expandHome(p) {
+    if (p === "~") return os.homedir();
+    if (p.startsWith("~/")) return path.join(os.homedir(), p.slice(2));
+    return p;
+}
+
+function isInside(root, target) {
+    const rel = path.relative(root, target);
+    return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+}
+
+/**
+ * The directories browsing is limited to, resolved through symlinks.
+ * Roots that don't exist are left out.
+ * @returns {Promise<string[]>}
+ */
+export async function getAllowedRoots() {
+    const configured = process.env.QMD_UI_ALLOWED_ROOTS?.split(path.delimiter).map((r) => r.trim()).filter(Boolean);
+    const roots = [];
+    for (const root of configured?.length ? configured : [os.homedir()]) {
+        try {
+            roots.push(await fs.realpath(path.resolve(expandHome(root))));
+        } catch {
+            // missing root — nothing to browse there
+        }
+    }
+    return roots;
+}
+
+/**
+ * Resolve a user-supplied path and make sure it's inside an allowed root.
+ * @param {string} input - Absolute, or starting with ~
+ * @returns {Promise<string>} The real (symlink-free) absolute path
+ * @throws {Error} With code EFORBIDDEN if it's outside every root
+ * @throws {Error} With code ENOENT if it doesn't exist
+ */
+export async function resolveAllowedPath(input) {
+    const expanded = expandHome(String(input).trim());
+    if (!path.isAbsolute(expanded)) throw forbidden("Path must be absolute or start with ~");
+
+    const real = await fs.realpath(expanded);
+    const roots = await getAllowedRoots();
+    if (!roots.some((root) => isInside(root, real))) {
+        throw forbidden("Path is outside the folders QMD UI may browse");
+    }
+    return real;
+}
+
+/**
+ * List the subfolders of a directory. Without a path, lists the roots.
+ * Hidden folders are included only when asked for.
+ * @param {string} [input]
+ * @param {{ hidden?: boolean }} [options]
+ * @returns {Promise<{ path: string|null, parent: string|null, roots: string[],
+ *   entries: Array<{ name: string, path: string }>, truncated: boolean }>}
+ */
+export async function listFolder(input, { hidden = false } = {}) {
+    const roots = await getAllowedRoots();
+    if (!input) {
+        return {
+            path: null,
+            parent: null,
+            roots,
+            entries: roots.map((root) => ({ name: root, path: root })),
+            truncated: false,
+        };
+    }
+
+    const dir = await resolveAllowedPath(input);
+    const stat = await fs.stat(dir);
+    if (!stat.isDirectory()) throw Object.assign(new Error("Not a directory"), { code: "ENOTDIR" });
+
+    const entries = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (!hidden && entry.name.startsWith(".")) continue;
+        let isDir = entry.isDirectory();
+        if (entry.isSymbolicLink()) {
+            // Follow links to folders, but only list them if they stay inside a root
+            try {
+                const target = await fs.realpath(path.join(dir, entry.name));
+                isDir = (await fs.stat(target)).isDirectory() && roots.some((root) => isInside(root, target));
+            } catch {
+                isDir = false;
+            }
+        }
+        if (isDir) entries.push({ name: entry.name, path: path.join(dir, entry.name) });
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+
+    // Going up stops at the root this folder is in
+    const parentDir = path.dirname(dir);
+    const parent = parentDir !== dir && roots.some((root) => isInside(root, parentDir)) ? parentDir : null;
+
+    return {
+        path: dir,
+        parent,
+        roots,
+        entries: entries.slice(0, MAX_ENTRIES),
+        truncated: entries.length > MAX_ENTRIES,
+    };
+}
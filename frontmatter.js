@@ -0,0 +1,80 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — YAML Front Matter
+   ═══════════════════════════════════════════════════════════════
+   Converted files start with a flat block of `key: value` lines
+   between `---` fences. Strings are written JSON-quoted (valid
+   YAML), so reading them back doesn't need a full YAML parser.
+   ═══════════════════════════════════════════════════════════════ */
+
+import fs from "node:fs/promises";
+
+const FENCE = "---";
+
+// Front matter is always near the top — never read whole files to find it
+const HEAD_BYTES = 8 * 1024;
+
+/**
+ * Render fields as a front matter block. null/undefined fields are left out.
+ * @param {Record<string, string|number|boolean|null|undefined>} fields
+ * @returns {string} Block including both fences and a trailing newline
+ */
+export function buildFrontMatter(fields) {
+    const lines = [FENCE];
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === null || value === undefined || value === "") continue;
+        lines.push(`${key}: ${typeof value === "string" ? JSON.stringify(value) : String(value)}`);
+    }
+    lines.push(FENCE);
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Split leading front matter off a document.
+ * Understands the flat layout buildFrontMatter writes, plus plain
+ * unquoted and single-quoted scalars from hand-written files.
+ * @param {string} text
+ * @returns {{ data: Record<string, string>, body: string }}
+ */
+export function parseFrontMatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { data: {}, body: text };
+
+    const data = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const kv = line.match(/^([A-Za-z0-9_-]+):\s*(.*)$/);
+        if (!kv) continue;
+        data[kv[1]] = parseScalar(kv[2].trim());
+    }
+    return { data, body: text.slice(match[0].length) };
+}
+
+function parseScalar(raw) {
+    if (raw.startsWith('"')) {
+        try {
+            return JSON.parse(raw);
+        } catch {
+            return raw.slice(1, -1);
+        }
+    }
+    if (raw.startsWith("'") && raw.endsWith("'")) return raw.slice(1, -1).replace(/''/g, "'");
+    return raw;
+}
+
+/**
+ * Read just the front matter of a file on disk.
+ * @param {string} filePath
+ * @returns {Promise<Record<string, string>>} Empty if there is none or the file is unreadable
+ */
+export async function readFrontMatter(filePath) {
+    let handle;
+    try {
+        handle = await fs.open(filePath, "r");
+        const buffer = Buffer.alloc(HEAD_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, HEAD_BYTES, 0);
+        return parseFrontMatter(buffer.toString("utf-8", 0, bytesRead)).data;
+    } catch {
+        return {};
+    } finally {
+        await handle?.close();
+    }
+}
@@ -0,0 +1,164 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Search History & Saved Searches
+   ═══════════════════════════════════════════════════════════════
+   Every completed search is recorded (query, mode, collections
+   searched and excluded, time, result count) so it can be picked
+   again from the search box. Saved searches are named queries the
+   user keeps; pinned ones are shown under the search bar.
+
+   Both live in ~/.config/qmd-ui/history.json, next to the
+   converter's watch list.
+
+   Usage:
+     import { recordSearch, getHistory } from './history.js';
+     recordSearch({ query: "oncall runbook", mode: "fast", results: 7 });
+   ═══════════════════════════════════════════════════════════════ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { CONFIG_DIR, writeJsonAtomic } from "./configfiles.js";
+
+const HISTORY_FILE = path.join(CONFIG_DIR, "history.json");
+
+const MAX_HISTORY = 200;  // oldest entries are dropped
+const MAX_SAVED = 100;
+
+let state = null; // { history: [...newest first], saved: [...] }, loaded on first use
+let loading = null;
+
+/** Entries from before multi-collection search had a single `collection` */
+function withCollectionLists({ collection, ...entry }) {
+    return {
+        ...entry,
+        collections: Array.isArray(entry.collections) ? entry.collections : collection ? [collection] : [],
+        exclude: Array.isArray(entry.exclude) ? entry.exclude : [],
+    };
+}
+
+async function loadState() {
+    try {
+        const saved = JSON.parse(await fs.readFile(HISTORY_FILE, "utf-8"));
+        return {
+            history: Array.isArray(saved.history) ? saved.history.slice(0, MAX_HISTORY).map(withCollectionLists) : [],
+            saved: Array.isArray(saved.saved) ? saved.saved.slice(0, MAX_SAVED).map(withCollectionLists) : [],
+        };
+    } catch (err) {
+        if (err.code !== "ENOENT") console.error(`  ✗ Could not read ${HISTORY_FILE}:`, err.message);
+        return { history: [], saved: [] };
+    }
+}
+
+function ensureLoaded() {
+    if (state) return Promise.resolve(state);
+    loading ??= loadState().then((loaded) => (state = loaded));
+    return loading;
+}
+
+/** Write history.json */
+function saveState() {
+    return writeJsonAtomic(HISTORY_FILE, { version: 1, ...state });
+}
+
+/** Same search = same query (ignoring case and spacing), mode and collection selection */
+function sameSearch(a, b) {
+    const norm = (q) => q.toLowerCase().replace(/\s+/g, " ").trim();
+    const names = (list) => list.slice().sort().join("\0");
+    return norm(a.query) === norm(b.query) && a.mode === b.mode
+        && names(a.collections) === names(b.collections) && names(a.exclude) === names(b.exclude);
+}
+
+// ─── Exported API ─────────────────────────────────────────────
+
+/**
+ * Record a completed search. Repeating a search moves it to the top
+ * (with the new time and result count) instead of adding a duplicate.
+ * @param {{ query: string, mode: string, collections?: string[], exclude?: string[], results: number }} search
+ */
+export async function recordSearch({ query, mode, collections = [], exclude = [], results }) {
+    await ensureLoaded();
+    const entry = { query, mode, collections, exclude, results, at: Date.now() };
+    state.history = [entry, ...state.history.filter((h) => !sameSearch(h, entry))].slice(0, MAX_HISTORY);
+    await saveState();
+    return entry;
+}
+
+/**
+ * Recent searches, newest first.
+ * @param {{ q?: string, limit?: number }} [options] - q filters by substring
+ */
+export async function getHistory({ q = "", limit = MAX_HISTORY } = {}) {
+    await ensureLoaded();
+    const needle = q.toLowerCase().trim();
+    const matches = needle ? state.history.filter((h) => h.query.toLowerCase().includes(needle)) : state.history;
+    return matches.slice(0, limit);
+}
+
+/**
+ * Forget every recorded search. Saved searches are kept.
+ */
+export async function clearHistory() {
+    await ensureLoaded();
+    state.history = [];
+    await saveState();
+}
+
+/**
+ * Saved searches, pinned first, then by name.
+ */
+export async function getSavedSearches() {
+    await ensureLoaded();
+    return state.saved.slice().sort((a, b) => Number(b.pinned) - Number(a.pinned) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a named search.
+ * @param {{ name: string, query: string, mode: string, collections?: string[],
+ *   exclude?: string[], pinned?: boolean }} search
+ * @returns {Promise<{ saved?: object, error?: string }>}
+ */
+export async function addSavedSearch({ name, query, mode, collections = [], exclude = [], pinned = false }) {
+    await ensureLoaded();
+    if (state.saved.length >= MAX_SAVED) return { error: `At most ${MAX_SAVED} saved searches` };
+    if (state.saved.some((s) => s.name.toLowerCase() === name.toLowerCase())) {
+        return { error: `A saved search named "${name}" already exists` };
+    }
+    const saved = { id: randomUUID(), name, query, mode, collections, exclude, pinned, createdAt: Date.now() };
+    state.saved.push(saved);
+    await saveState();
+    return { saved };
+}
+
+/**
+ * Rename, re-pin or change a saved search.
+ * @param {string} id
+ * @param {{ name?: string, pinned?: boolean }} changes
+ * @returns {Promise<{ saved?: object, error?: string }>} error is "not found" for unknown ids
+ */
+export async function updateSavedSearch(id, changes) {
+    await ensureLoaded();
+    const saved = state.saved.find((s) => s.id === id);
+    if (!saved) return { error: "not found" };
+    if (changes.name !== undefined) {
+        if (state.saved.some((s) => s.id !== id && s.name.toLowerCase() === changes.name.toLowerCase())) {
+            return { error: `A saved search named "${changes.name}" already exists` };
+        }
+        saved.name = changes.name;
+    }
+    if (changes.pinned !== undefined) saved.pinned = changes.pinned;
+    await saveState();
+    return { saved };
+}
+
+/**
+ * Delete a saved search.
+ * @returns {Promise<boolean>} false if there was no such search
+ */
+export async function removeSavedSearch(id) {
+    await ensureLoaded();
+    const before = state.saved.length;
+    state.saved = state.saved.filter((s) => s.id !== id);
+    if (state.saved.length === before) return false;
+    await saveState();
+    return true;
+}
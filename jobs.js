@@ -0,0 +1,297 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Background Jobs
+   ═══════════════════════════════════════════════════════════════
+   Runs long qmd commands (embed, update) as tracked jobs so the
+   request that starts them can return immediately. Output is
+   buffered per job and fanned out to subscribers (SSE streams).
+   Embed jobs load models, so they may be "queued" behind searches
+   until scheduler.js has a slot for them.
+
+   Usage:
+     import { startJob, subscribeJob } from './jobs.js';
+     const { job } = startJob("embed");
+     subscribeJob(job.id, (event, data) => { ... });
+   ═══════════════════════════════════════════════════════════════ */
+
+import { spawn } from "node:child_process";
+import { acquireSlot, isScheduled, tryAcquireSlot } from "./scheduler.js";
+
+/** Job types we know how to run, and how long each may take */
+const JOB_TYPES = {
+    embed: { args: ["embed"], timeoutMs: 30 * 60_000 },
+    update: { args: ["update"], timeoutMs: 10 * 60_000 },
+};
+
+const MAX_LOG_LINES = 500;   // per job — older lines are dropped
+const MAX_HISTORY = 20;      // finished jobs kept for the UI
+
+const jobs = new Map(); // id → job (insertion order = start order)
+const doneListeners = new Set(); // hear about every job that finishes
+let nextId = 1;
+
+/** Public view of a job — no child handle, log only on request */
+function serialize(job, { withLog = false } = {}) {
+    const out = {
+        id: job.id,
+        type: job.type,
+        command: ["qmd", ...job.args].join(" "),
+        status: job.status,
+        queue: job.queue,
+        progress: job.progress,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        exitCode: job.exitCode,
+        error: job.error,
+    };
+    if (withLog) out.log = job.log.slice();
+    return out;
+}
+
+function emit(job, event, data) {
+    for (const listener of job.listeners) {
+        try {
+            listener(event, data);
+        } catch (err) {
+            console.error(`  ✗ Job listener error (${job.id}):`, err.message);
+        }
+    }
+}
+
+/** Pull a percentage out of a progress line like "Embedding 42/100 (42%)" */
+function parseProgress(text) {
+    const pct = text.match(/(\d{1,3}(?:\.\d+)?)\s*%/);
+    if (pct) return Math.min(100, parseFloat(pct[1]));
+    const frac = text.match(/\b(\d+)\s*\/\s*(\d+)\b/);
+    if (frac && Number(frac[2]) > 0) return Math.min(100, (Number(frac[1]) / Number(frac[2])) * 100);
+    return null;
+}
+
+/**
+ * Split a child stream into lines. Newline-terminated lines go to the
+ * log; carriage-return-terminated ones are progress-bar redraws and
+ * only update job.progress.
+ */
+function pipeOutput(job, stream, name) {
+    let pending = "";
+    stream.setEncoding("utf-8");
+    stream.on("data", (chunk) => {
+        pending += chunk;
+        const parts = pending.split(/(\r\n|\n|\r)/);
+        pending = parts.pop();
+        for (let i = 0; i < parts.length; i += 2) {
+            const text = parts[i];
+            const sep = parts[i + 1];
+            if (sep === "\r") reportProgress(job, text);
+            else appendLog(job, name, text);
+        }
+    });
+    stream.on("end", () => {
+        if (pending) appendLog(job, name, pending);
+        pending = "";
+    });
+}
+
+function appendLog(job, stream, text) {
+    if (!text.trim()) return;
+    const entry = { stream, text, t: Date.now() };
+    job.log.push(entry);
+    if (job.log.length > MAX_LOG_LINES) job.log.splice(0, job.log.length - MAX_LOG_LINES);
+    emit(job, "log", { jobId: job.id, ...entry });
+    reportProgress(job, text);
+}
+
+function reportProgress(job, text) {
+    const progress = parseProgress(text);
+    if (progress === null || progress === job.progress) return;
+    job.progress = progress;
+    emit(job, "progress", { jobId: job.id, progress, text: text.trim() });
+}
+
+function isActive(job) {
+    return job.status === "queued" || job.status === "running";
+}
+
+function finish(job, status, { exitCode = null, error = null } = {}) {
+    if (!isActive(job)) return;
+    clearTimeout(job.timer);
+    job.release();
+    job.status = status;
+    job.exitCode = exitCode;
+    job.error = error;
+    job.finishedAt = Date.now();
+    job.child = null;
+    job.queue = null;
+    if (status === "succeeded") job.progress = 100;
+
+    const icon = status === "succeeded" ? "✓" : "✗";
+    console.log(`  ${icon} Job ${job.id} (${job.type}) ${status}${error ? `: ${error}` : ""}`);
+
+    emit(job, "done", serialize(job));
+    job.listeners.clear();
+    for (const listener of doneListeners) {
+        try {
+            listener(serialize(job));
+        } catch (err) {
+            console.error(`  ✗ Job done listener error (${job.id}):`, err.message);
+        }
+    }
+    pruneHistory();
+}
+
+function pruneHistory() {
+    const finished = Array.from(jobs.values()).filter((j) => !isActive(j));
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_HISTORY))) {
+        jobs.delete(job.id);
+    }
+}
+
+/** Start the job's qmd process */
+function launch(job, timeoutMs) {
+    job.status = "running";
+    job.queue = null;
+    console.log(`  ▶ Job ${job.id}: qmd ${job.args.join(" ")}`);
+    emit(job, "started", serialize(job));
+
+    const child = spawn("qmd", job.args, { stdio: ["ignore", "pipe", "pipe"] });
+    job.child = child;
+    job.timer = setTimeout(() => {
+        job.timedOut = true;
+        child.kill("SIGTERM");
+    }, timeoutMs);
+
+    pipeOutput(job, child.stdout, "stdout");
+    pipeOutput(job, child.stderr, "stderr");
+
+    child.on("error", (err) => finish(job, "failed", { error: err.message }));
+    child.on("close", (code, signal) => {
+        if (job.cancelled) finish(job, "cancelled", { exitCode: code });
+        else if (job.timedOut) finish(job, "failed", { exitCode: code, error: "Timed out" });
+        else if (code === 0) finish(job, "succeeded", { exitCode: code });
+        else finish(job, "failed", { exitCode: code, error: signal ? `Killed by ${signal}` : `Exited with code ${code}` });
+    });
+}
+
+// ─── Exported API ─────────────────────────────────────────────
+
+/**
+ * Start a qmd job in the background.
+ * Only one job of each type runs at a time — starting a second one
+ * returns the job that's already running (or queued).
+ * Embed jobs wait as "queued" while every model slot is taken.
+ * @param {"embed"|"update"} type
+ * @returns {{ job?: object, already?: boolean, error?: string }}
+ */
+export function startJob(type) {
+    const spec = JOB_TYPES[type];
+    if (!spec) return { error: `Unknown job type: ${type}` };
+
+    const running = Array.from(jobs.values()).find((j) => j.type === type && isActive(j));
+    if (running) return { job: serialize(running), already: true };
+
+    const job = {
+        id: `${type}-${nextId++}`,
+        type,
+        args: spec.args,
+        status: "queued",
+        queue: null,
+        progress: null,
+        startedAt: Date.now(),
+        finishedAt: null,
+        exitCode: null,
+        error: null,
+        log: [],
+        listeners: new Set(),
+        cancelled: false,
+        timedOut: false,
+        child: null,
+        timer: null,
+        waiting: null,        // aborts the wait for a slot
+        release: () => {},    // gives the slot back
+    };
+    jobs.set(job.id, job);
+
+    const slot = isScheduled(spec.args[0]) ? tryAcquireSlot(spec.args[0]) : () => {};
+    if (slot) {
+        job.release = slot;
+        launch(job, spec.timeoutMs);
+        return { job: serialize(job), already: false };
+    }
+
+    job.waiting = new AbortController();
+    const onWait = (wait) => {
+        job.queue = wait;
+        emit(job, "queued", { jobId: job.id, ...wait });
+    };
+    acquireSlot(spec.args[0], { signal: job.waiting.signal, onWait })
+        .then((release) => {
+            job.release = release;
+            job.waiting = null;
+            if (job.cancelled) finish(job, "cancelled"); // cancelled just as its turn came
+            else launch(job, spec.timeoutMs);
+        })
+        .catch(() => finish(job, "cancelled"));
+    console.log(`  ⏳ Job ${job.id}: queued behind ${job.queue?.ahead ?? 0}`);
+
+    return { job: serialize(job), already: false };
+}
+
+/**
+ * Cancel a running or queued job — kills its qmd process, or takes it
+ * out of the queue.
+ * @param {string} id
+ * @returns {object|null} The job, or null if unknown
+ */
+export function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.status === "queued" && job.waiting) {
+        job.cancelled = true;
+        job.waiting.abort();
+    } else if (job.status === "running" && job.child) {
+        job.cancelled = true;
+        job.child.kill("SIGTERM");
+    }
+    return serialize(job);
+}
+
+/**
+ * Get a single job.
+ * @param {string} id
+ * @param {{ withLog?: boolean }} [options]
+ */
+export function getJob(id, options) {
+    const job = jobs.get(id);
+    return job ? serialize(job, options) : null;
+}
+
+/**
+ * List running and recent jobs, newest first.
+ */
+export function listJobs() {
+    return Array.from(jobs.values()).reverse().map((job) => serialize(job));
+}
+
+/**
+ * Listen to a running or queued job's events: "queued" (its place in
+ * line changed), "started", "log", "progress" and a final "done".
+ * @param {string} id
+ * @param {(event: string, data: object) => void} listener
+ * @returns {(() => void)|null} Unsubscribe function, or null if the job has finished
+ */
+export function subscribeJob(id, listener) {
+    const job = jobs.get(id);
+    if (!job || !isActive(job)) return null;
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+}
+
+/**
+ * Hear about every job that finishes, whatever started it and however
+ * it ended (succeeded, failed or cancelled).
+ * @param {(job: object) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function onJobDone(listener) {
+    doneListeners.add(listener);
+    return () => doneListeners.delete(listener);
+}
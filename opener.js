@@ -0,0 +1,106 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Open Files in an Editor
+   ═══════════════════════════════════════════════════════════════
+   Opens a document with the user's editor command if one is set
+   (QMD_UI_EDITOR, e.g. "code -g {file}:{line}"), otherwise with
+   the platform's default opener (open / xdg-open /
+   url.dll's FileProtocolHandler).
+
+   Commands are split into argv and run without a shell, so file
+   names are never interpreted.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { spawn } from "node:child_process";
+
+/**
+ * Split a command template into argv, honouring "double" and 'single'
+ * quotes so paths with spaces survive, e.g. `"/Applications/My Editor" {file}`.
+ */
+function splitCommand(template) {
+    const args = [];
+    let current = "";
+    let quote = null;
+    let inArg = false;
+
+    for (const ch of template) {
+        if (quote) {
+            if (ch === quote) quote = null;
+            else current += ch;
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+            inArg = true;
+        } else if (/\s/.test(ch)) {
+            if (inArg) args.push(current);
+            current = "";
+            inArg = false;
+        } else {
+            current += ch;
+            inArg = true;
+        }
+    }
+    if (inArg) args.push(current);
+    return args;
+}
+
+/** Build argv from the editor template — {file} is appended if the template doesn't use it */
+function buildEditorArgs(template, filePath, line) {
+    const argv = splitCommand(template);
+    const usesFile = argv.some((a) => a.includes("{file}"));
+    const filled = argv.map((a) => a.replaceAll("{file}", filePath).replaceAll("{line}", String(line || 1)));
+    if (!usesFile) filled.push(filePath);
+    return filled;
+}
+
+/** The platform's "open with default app" command */
+function platformOpener(filePath) {
+    switch (process.platform) {
+        case "darwin":
+            return ["open", filePath];
+        case "win32":
+            // What `start` does, without going through cmd — which would
+            // expand ^, % and & in file names
+            return ["rundll32", "url.dll,FileProtocolHandler", filePath];
+        default:
+            return ["xdg-open", filePath];
+    }
+}
+
+/** Start a detached process — resolves once it has spawned, rejects if it can't */
+function launch([command, ...args]) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, {
+            detached: true,
+            stdio: "ignore",
+            windowsHide: true,
+        });
+        child.once("error", (err) => reject(new Error(`${command}: ${err.message}`)));
+        child.once("spawn", () => {
+            child.unref();
+            resolve();
+        });
+    });
+}
+
+// ─── Exported API ─────────────────────────────────────────────
+
+/**
+ * The configured editor command template, or null to use the platform opener.
+ */
+export function getEditorCommand() {
+    const template = process.env.QMD_UI_EDITOR?.trim();
+    return template || null;
+}
+
+/**
+ * Open a file, at a line if the editor supports it.
+ * @param {string} filePath - Absolute path
+ * @param {number} [line] - 1-based line number of the match
+ * @returns {Promise<{ command: string }>} The program that was launched
+ */
+export async function openInEditor(filePath, line) {
+    const template = getEditorCommand();
+    const argv = template ? buildEditorArgs(template, filePath, line) : platformOpener(filePath);
+    if (argv.length === 0) throw new Error("Editor command is empty");
+    await launch(argv);
+    return { command: argv[0] };
+}
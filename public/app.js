@@ -4,24 +4,81 @@
 
 // ─── State ──────────────────────────────────────────────────────
 let collections = [];
-let activeCollection = null;
+let indexStats = null;               // index-wide numbers from `qmd status` ({ files, embedding })
+let selectedCollections = new Set(); // searched collections — empty means all
+let excludedCollections = new Set(); // never searched
+let pillMode = "include";            // what clicking a collection pill does: "include" | "exclude"
 let isSearching = false;
 let searchAbortController = null;
+let currentTerms = [];         // words to highlight in the document preview
+let currentResults = [];
+let resultsTotal = null;       // match count, when the server knows it
+let resultsHaveMore = false;   // another page can be loaded
+let loadMoreController = null; // AbortController of the "Load more" request in flight
+let resultSort = "score";      // "score" | "date" | "title" — kept across searches
+let previewResult = null;
+let editingCollection = null; // name of the collection whose edit form is open
+let folderBrowserState = null; // last /api/fs/list response shown in the folder browser
+let maskPreviewTimer = null;
+let lastSearch = null;         // { query, mode, collections, exclude } of the results on screen
+let savedSearches = [];
+let suggestions = [];          // entries in the search box dropdown
+let suggestionIndex = -1;      // highlighted entry, -1 = none
+let suggestionTimer = null;
+let queryPreviewTimer = null;
+
+const DEFAULT_TITLE = document.title;
+const SEARCH_ENDPOINTS = { fast: "/search", deep: "/query", hybrid: "/hybrid" };
+const MODE_LABELS = { fast: "⚡ FAST", deep: "✨ DEEP", hybrid: "⚡✨ HYBRID" };
+const STAGE_LABELS = {
+    searching: "Keyword searching...",
+    expanding: "Expanding query...",
+    retrieving: "Retrieving candidates...",
+    reranking: "Reranking...",
+};
+// Tooltips for the query preview's tokens (filters and invalid ones explain themselves)
+const QUERY_TOKEN_HINTS = {
+    phrase: "Exact phrase",
+    required: "Must appear",
+    excluded: "Must not appear",
+    ignored: "Nothing to search for — ignored",
+};
+let jobs = [];
+let jobStream = null;       // EventSource for the job whose log is shown
+let followedJobId = null;
+let converterPoll = null;   // refreshes the Converter modal while it's open
+let converterSnapshot = "";  // last status rendered, to skip no-op re-renders
 
 // ─── DOM Refs ───────────────────────────────────────────────────
 const $ = (id) => document.getElementById(id);
 
 const dom = {
     searchInput: $("searchInput"),
+    queryPreview: $("queryPreview"),
+    searchSuggestions: $("searchSuggestions"),
+    savedSearchBar: $("savedSearches"),
+    btnSaveSearch: $("btnSaveSearch"),
     searchHero: $("searchHero"),
     btnFast: $("btnFast"),
     btnDeep: $("btnDeep"),
+    btnHybrid: $("btnHybrid"),
     collectionPills: $("collectionPills"),
     resultsGrid: $("resultsGrid"),
     resultsMeta: $("resultsMeta"),
     resultsCount: $("resultsCount"),
     resultsModeBadge: $("resultsModeBadge"),
     resultsTime: $("resultsTime"),
+    resultsPending: $("resultsPending"),
+    resultsPendingText: $("resultsPendingText"),
+    resultsMore: $("resultsMore"),
+    btnLoadMore: $("btnLoadMore"),
+    filterExt: $("filterExt"),
+    filterPath: $("filterPath"),
+    filterFrom: $("filterFrom"),
+    filterTo: $("filterTo"),
+    filterMinScore: $("filterMinScore"),
+    resultSortSelect: $("resultSort"),
+    btnClearFilters: $("btnClearFilters"),
     searchLoading: $("searchLoading"),
     loadingText: $("loadingText"),
     emptyState: $("emptyState"),
@@ -34,11 +91,45 @@ const dom = {
     collectionList: $("collectionList"),
     collectionCount: $("collectionCount"),
     addCollectionForm: $("addCollectionForm"),
+    colPath: $("colPath"),
+    colMask: $("colMask"),
+    btnBrowseFolder: $("btnBrowseFolder"),
+    folderBrowser: $("folderBrowser"),
+    folderBrowserPath: $("folderBrowserPath"),
+    folderBrowserList: $("folderBrowserList"),
+    folderUp: $("folderUp"),
+    folderSelect: $("folderSelect"),
+    maskPreview: $("maskPreview"),
     collectionFeedback: $("collectionFeedback"),
     collectionAlert: $("collectionAlert"),
     btnEmbed: $("btnEmbed"),
+    btnUpdate: $("btnUpdate"),
+    collectionModal: $("collectionModal"),
+    jobList: $("jobList"),
+    jobCount: $("jobCount"),
+    jobLog: $("jobLog"),
+    converterModal: $("converterModal"),
+    watchList: $("watchList"),
+    watchCount: $("watchCount"),
+    watchRestoreAlert: $("watchRestoreAlert"),
+    watchForm: $("watchForm"),
+    autoWatchCollections: $("autoWatchCollections"),
+    convertForm: $("convertForm"),
+    convertDropzone: $("convertDropzone"),
+    convertFileInput: $("convertFileInput"),
+    convertOutputDir: $("convertOutputDir"),
+    convertOutputOptions: $("convertOutputOptions"),
+    converterFeedback: $("converterFeedback"),
+    converterAlert: $("converterAlert"),
+    conversionList: $("conversionList"),
+    conversionCount: $("conversionCount"),
     footerCollections: $("footerCollections"),
     footerDocs: $("footerDocs"),
+    previewPanel: $("previewPanel"),
+    previewTitle: $("previewTitle"),
+    previewPath: $("previewPath"),
+    previewBody: $("previewBody"),
+    previewOpenExternal: $("previewOpenExternal"),
 };
 
 // ─── Theme ──────────────────────────────────────────────────────
@@ -77,6 +168,7 @@ async function loadCollections() {
     try {
         const data = await api("/collections");
         collections = data.collections || [];
+        indexStats = data.index || null;
         renderPills();
         renderCollectionList();
         dom.statusDot.classList.add("online");
@@ -102,26 +194,71 @@ async function loadCollections() {
     }
 }
 
+/** The pills' selection, in the shape the search API and URLs use */
+function currentCollectionFilter() {
+    return { collections: [...selectedCollections], exclude: [...excludedCollections] };
+}
+
+/** Select exactly these collections, dropping names that no longer exist */
+function setCollectionFilter({ collections: include = [], exclude = [] }) {
+    const known = (name) => collections.length === 0 || collections.some((c) => c.name === name);
+    selectedCollections = new Set(include.filter(known));
+    excludedCollections = new Set(exclude.filter(known));
+    renderPills();
+}
+
+/** "meetings + research − archive" for tooltips and suggestions */
+function describeCollectionFilter({ collections: include = [], exclude = [] }) {
+    return [include.join(" + "), ...exclude.map((name) => `− ${name}`)].filter(Boolean).join(" ");
+}
+
+/**
+ * Collection pills: "All" clears the filter; clicking a collection adds
+ * it to (or drops it from) the search, or — in exclude mode, or with
+ * Alt held — leaves it out of the search.
+ */
 function renderPills() {
     const totalFiles = collections.reduce((s, c) => s + c.files, 0);
-    let html = `<button class="pill ${activeCollection === null ? "active" : ""}" data-col="">
+    const unfiltered = selectedCollections.size === 0 && excludedCollections.size === 0;
+    let html = `<button class="pill ${unfiltered ? "active" : ""}" data-col="">
     <i class="bi bi-grid-3x3-gap"></i> All <span class="pill-count">${totalFiles}</span>
   </button>`;
 
     for (const c of collections) {
-        const isActive = activeCollection === c.name;
-        html += `<button class="pill ${isActive ? "active" : ""}" data-col="${esc(c.name)}">
-      <i class="bi bi-folder2"></i> ${esc(c.name)} <span class="pill-count">${c.files}</span>
+        const state = selectedCollections.has(c.name) ? "active" : excludedCollections.has(c.name) ? "excluded" : "";
+        html += `<button class="pill ${state}" data-col="${esc(c.name)}" aria-pressed="${state === "active"}">
+      <i class="bi ${state === "excluded" ? "bi-slash-circle" : "bi-folder2"}"></i> ${esc(c.name)} <span class="pill-count">${c.files}</span>
+    </button>`;
+    }
+
+    if (collections.length > 1) {
+        html += `<button class="pill pill-mode ${pillMode === "exclude" ? "excluded" : ""}" data-pill-mode
+      title="${pillMode === "exclude" ? "Clicking a collection leaves it out of the search" : "Alt-click a collection to leave it out of the search"}">
+      <i class="bi bi-funnel"></i> ${pillMode === "exclude" ? "Excluding" : "Exclude…"}
     </button>`;
     }
 
     dom.collectionPills.innerHTML = html;
-    dom.collectionPills.querySelectorAll(".pill").forEach((btn) => {
-        btn.addEventListener("click", () => {
-            activeCollection = btn.dataset.col || null;
+    dom.collectionPills.querySelectorAll("[data-col]").forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+            const name = btn.dataset.col;
+            if (!name) {
+                selectedCollections.clear();
+                excludedCollections.clear();
+            } else if (pillMode === "exclude" || e.altKey) {
+                selectedCollections.delete(name);
+                if (!excludedCollections.delete(name)) excludedCollections.add(name);
+            } else {
+                excludedCollections.delete(name);
+                if (!selectedCollections.delete(name)) selectedCollections.add(name);
+            }
             renderPills();
         });
     });
+    dom.collectionPills.querySelector("[data-pill-mode]")?.addEventListener("click", () => {
+        pillMode = pillMode === "exclude" ? "include" : "exclude";
+        renderPills();
+    });
 }
 
 function renderCollectionList() {
@@ -136,16 +273,50 @@ function renderCollectionList() {
     <div class="collection-item">
       <div class="collection-item-info">
         <span class="collection-item-name">${esc(c.name)}</span>
+        ${c.path ? `<span class="collection-item-path" title="${escAttr(c.path)}">
+          <i class="bi bi-folder2"></i> ${esc(c.path)}${c.exists === false ? ` <span class="text-danger">(missing)</span>` : ""}
+        </span>` : ""}
+        <span class="collection-item-detail">
+          <i class="bi bi-file-earmark"></i> ${c.files} files
+          ${c.totalSize != null ? ` · ${formatBytes(c.totalSize)}${c.truncated ? "+" : ""}` : ""}
+          · <code>${esc(c.mask || c.pattern)}</code>
+        </span>
         <span class="collection-item-detail">
-          <i class="bi bi-file-earmark"></i> ${c.files} files · ${esc(c.pattern)}
+          ${collectionUpdated(c)}
         </span>
+        ${renderEmbeddingCoverage(c.embedding, indexStats?.embedding)}
+        ${c.context ? `<span class="collection-item-context"><i class="bi bi-chat-quote"></i> ${esc(c.context)}</span>` : ""}
       </div>
-      <button class="btn-remove" title="Remove" data-remove="${esc(c.name)}">
-        <i class="bi bi-trash3"></i>
-      </button>
+      <div class="collection-item-actions">
+        ${c.path ? `<button class="btn-remove" title="Edit" data-edit="${escAttr(c.name)}">
+          <i class="bi bi-pencil"></i>
+        </button>` : ""}
+        <button class="btn-remove" title="Remove" data-remove="${esc(c.name)}">
+          <i class="bi bi-trash3"></i>
+        </button>
+      </div>
+      ${editingCollection === c.name ? renderCollectionEditForm(c) : ""}
     </div>
   `).join("");
 
+    dom.collectionList.querySelectorAll("[data-edit]").forEach((btn) => {
+        btn.addEventListener("click", () => {
+            editingCollection = editingCollection === btn.dataset.edit ? null : btn.dataset.edit;
+            renderCollectionList();
+            dom.collectionList.querySelector("[data-edit-form] input")?.focus();
+        });
+    });
+    dom.collectionList.querySelectorAll("[data-edit-form]").forEach((form) => {
+        form.addEventListener("submit", (e) => {
+            e.preventDefault();
+            saveCollectionEdit(form);
+        });
+        form.querySelector("[data-edit-cancel]").addEventListener("click", () => {
+            editingCollection = null;
+            renderCollectionList();
+        });
+    });
+
     dom.collectionList.querySelectorAll("[data-remove]").forEach((btn) => {
         btn.addEventListener("click", async () => {
             const name = btn.dataset.remove;
@@ -161,10 +332,104 @@ function renderCollectionList() {
     });
 }
 
+function renderCollectionEditForm(c) {
+    return `
+      <form class="collection-edit-form add-collection-form" data-edit-form="${escAttr(c.name)}">
+        <div class="row g-2">
+          <div class="col-md-6">
+            <label class="form-label">Name</label>
+            <input type="text" class="form-control" name="name" value="${escAttr(c.name)}" required />
+          </div>
+          <div class="col-md-6">
+            <label class="form-label">File Pattern</label>
+            <input type="text" class="form-control" name="mask" value="${escAttr(c.mask)}" required />
+          </div>
+          <div class="col-12">
+            <label class="form-label">Folder Path</label>
+            <input type="text" class="form-control" name="path" value="${escAttr(c.path)}" required />
+          </div>
+          <div class="col-12">
+            <label class="form-label">Context</label>
+            <textarea class="form-control" name="context" rows="2" maxlength="1000"
+              placeholder="What's in this collection? Helps deep search rank results">${esc(c.context || "")}</textarea>
+          </div>
+          <div class="col-12 d-flex gap-2">
+            <button type="submit" class="btn btn-primary btn-sm d-flex align-items-center gap-1">
+              <i class="bi bi-check2"></i> Save
+            </button>
+            <button type="button" class="btn btn-outline-secondary btn-sm" data-edit-cancel>Cancel</button>
+          </div>
+        </div>
+      </form>`;
+}
+
+/** Send only the fields that changed — the server re-indexes for mask and path */
+async function saveCollectionEdit(form) {
+    const name = form.dataset.editForm;
+    const original = collections.find((c) => c.name === name);
+    if (!original) return;
+
+    const values = Object.fromEntries(new FormData(form));
+    const body = {};
+    if (values.name.trim() !== original.name) body.name = values.name.trim();
+    if (values.mask.trim() !== original.mask) body.mask = values.mask.trim();
+    if (values.path.trim() !== original.path) body.path = values.path.trim();
+    if (values.context.trim() !== (original.context || "")) body.context = values.context.trim();
+
+    if (Object.keys(body).length === 0) {
+        editingCollection = null;
+        renderCollectionList();
+        return;
+    }
+
+    const submit = form.querySelector("[type=submit]");
+    submit.disabled = true;
+    try {
+        const data = await api(`/collection/${encodeURIComponent(name)}`, { method: "PATCH", body: JSON.stringify(body) });
+        showToast(data.message || "Collection updated", "success");
+        if (body.name) {
+            for (const set of [selectedCollections, excludedCollections]) {
+                if (set.delete(name)) set.add(body.name);
+            }
+        }
+        editingCollection = null;
+        if (data.job) {
+            upsertJob(data.job);
+            followJob(data.job.id);
+        }
+        await loadCollections();
+    } catch (err) {
+        showToast(`Update failed: ${err.message}`, "danger");
+        submit.disabled = false;
+    }
+}
+
+/** "indexed 2h ago · newest file 5m ago" — whichever of the two is known */
+function collectionUpdated(c) {
+    const parts = [];
+    if (c.lastIndexed) parts.push(`<i class="bi bi-clock-history"></i> indexed ${formatAgo(c.lastIndexed)}`);
+    if (c.lastModified) parts.push(`${parts.length ? "· " : `<i class="bi bi-clock-history"></i> `}newest file ${formatAgo(c.lastModified)}`);
+    return parts.join(" ") || `<i class="bi bi-clock-history"></i> no files yet`;
+}
+
+/** The collection's embedding coverage — or the whole index's, when qmd only reports that */
+function renderEmbeddingCoverage(embedding, indexEmbedding) {
+    const shown = embedding || indexEmbedding;
+    if (!shown) return `<span class="collection-item-detail"><i class="bi bi-diagram-3"></i> embeddings: unknown</span>`;
+    const pct = Math.round(shown.coverage * 100);
+    const scope = embedding ? "" : " across all collections";
+    return `
+      <span class="collection-item-detail" title="${shown.embedded} of ${shown.total} files embedded${scope}">
+        <i class="bi bi-diagram-3"></i> ${pct}% embedded${embedding ? "" : " (whole index)"}
+      </span>
+      <div class="job-progress collection-coverage"><div class="job-progress-fill" style="width:${pct}%"></div></div>`;
+}
+
 // ─── Search ─────────────────────────────────────────────────────
 function showSearchActions() {
     dom.btnFast.style.display = "";
     dom.btnDeep.style.display = "";
+    dom.btnHybrid.style.display = "";
     // Remove any existing cancel button
     const existing = document.querySelector(".search-cancel");
     if (existing) existing.remove();
@@ -173,6 +438,7 @@ function showSearchActions() {
 function showCancelButton() {
     dom.btnFast.style.display = "none";
     dom.btnDeep.style.display = "none";
+    dom.btnHybrid.style.display = "none";
     // Insert cancel button if not already present
     if (!document.querySelector(".search-cancel")) {
         const btn = document.createElement("button");
@@ -184,76 +450,219 @@ function showCancelButton() {
 }
 
 function cancelSearch() {
-    if (searchAbortController) {
-        searchAbortController.abort();
-        searchAbortController = null;
-    }
+    if (searchAbortController) searchAbortController.abort();
+    if (loadMoreController) loadMoreController.abort();
 }
 
-async function doSearch(mode) {
+/**
+ * Run the query in the search box. Hybrid searches show the keyword
+ * hits first, then replace them with the fused results.
+ * @param {"fast"|"deep"|"hybrid"} mode
+ * @param {{ fromUrl?: boolean }} [options] - fromUrl: restoring from the address
+ *   bar (page load, back/forward), so don't add a history entry
+ */
+async function doSearch(mode, { fromUrl = false } = {}) {
     const q = dom.searchInput.value.trim();
-    if (!q || isSearching) return;
+    if (!q) return;
+    hideSuggestions();
+    const filter = currentCollectionFilter();
+    if (!fromUrl) pushSearchUrl({ query: q, mode, ...filter });
 
+    // A new query replaces whatever is still running — the server kills
+    // the old qmd process when its request is aborted.
+    cancelSearch();
+
+    const controller = new AbortController();
     isSearching = true;
-    searchAbortController = new AbortController();
+    searchAbortController = controller;
+    currentTerms = queryTerms(q);
+    scheduleQueryPreview();
 
     // UI transitions
     dom.welcomeState?.classList.add("d-none");
     dom.searchLoading.classList.remove("d-none");
     dom.resultsGrid.innerHTML = "";
     dom.resultsMeta.classList.add("d-none");
+    dom.resultsMore.classList.add("d-none");
     dom.emptyState.classList.add("d-none");
-    dom.loadingText.textContent = mode === "fast" ? "Keyword searching..." : "AI is thinking...";
+    dom.loadingText.textContent = mode === "deep" ? "AI is thinking..." : "Keyword searching...";
     showCancelButton();
 
     const startTime = performance.now();
+    const elapsed = () => ((performance.now() - startTime) / 1000).toFixed(2);
 
-    try {
-        const endpoint = mode === "fast" ? "/search" : "/query";
-        const body = { q };
-        if (activeCollection) body.collection = activeCollection;
+    // Hybrid searches show keyword hits (candidates) while qmd query works
+    let candidatesShown = false;
+    const showProgress = (text) => {
+        if (candidatesShown) dom.resultsPendingText.textContent = text;
+        else dom.loadingText.textContent = text;
+    };
+    const onEvent = (event, data) => {
+        if (event === "queued") {
+            showProgress(describeQueue(data));
+        } else if (event === "stage") {
+            // Keyword hits arrive as candidates; the slow engine's stage is the news
+            if (data.engine === "fast" && mode !== "fast") return;
+            showProgress(`${STAGE_LABELS[data.stage] || "Searching..."}${data.collection ? ` · ${data.collection}` : ""}`);
+        } else if (event === "candidates" && data.results.length > 0) {
+            lastSearch = { query: q, mode, ...filter };
+            dom.searchLoading.classList.add("d-none");
+            renderResults(data.results, mode, elapsed(), {}, { keepFilters: candidatesShown });
+            candidatesShown = true;
+            dom.resultsGrid.classList.add("provisional");
+            dom.resultsPending.classList.remove("d-none");
+        }
+    };
 
-        const data = await api(endpoint, {
-            method: "POST",
-            body: JSON.stringify(body),
-            signal: searchAbortController.signal,
-        });
-        const elapsed = ((performance.now() - startTime) / 1000).toFixed(2);
-        renderResults(data.results || [], mode, elapsed);
+    try {
+        const data = await streamSearch({ q, mode, ...filter }, { signal: controller.signal, onEvent });
+        lastSearch = { query: q, mode, ...filter };
+        if (data.terms) currentTerms = data.terms.filter((t) => t.length > 1);
+        renderResults(data.results || [], mode, elapsed(), data, { keepFilters: candidatesShown });
     } catch (err) {
+        const superseded = searchAbortController !== controller;
         if (err.name === "AbortError") {
-            showToast("Search cancelled", "warning");
-        } else {
-            showToast(`Search failed: ${err.message}`, "danger");
+            if (!superseded) showToast("Search cancelled", "warning");
+        } else if (!superseded) {
+            showToast(candidatesShown
+                ? `Search failed, showing keyword matches: ${err.message}`
+                : `Search failed: ${err.message}`, "danger");
         }
     } finally {
-        isSearching = false;
-        searchAbortController = null;
-        dom.searchLoading.classList.add("d-none");
-        showSearchActions();
+        // Only the latest search owns the UI state
+        if (searchAbortController === controller) {
+            isSearching = false;
+            searchAbortController = null;
+            dom.searchLoading.classList.add("d-none");
+            dom.resultsPending.classList.add("d-none");
+            dom.resultsGrid.classList.remove("provisional");
+            showSearchActions();
+        }
+    }
+}
+
+/**
+ * "Waiting for 2 searches and an embedding job ahead..." — from a
+ * `queued` event's count of the qmd runs in front of this one.
+ */
+function describeQueue({ ahead, kinds = {} }) {
+    const embeds = kinds.embed || 0;
+    const searches = ahead - embeds;
+    const parts = [];
+    if (searches > 0) parts.push(`${searches} search${searches === 1 ? "" : "es"}`);
+    if (embeds > 0) parts.push("an embedding job");
+    return `Waiting for ${parts.join(" and ") || "a free slot"} ahead...`;
+}
+
+/**
+ * Run a search through the streaming endpoint (Server-Sent Events over a
+ * POST), passing `queued`, `stage` and `candidates` events to onEvent as they come.
+ * @returns {Promise<object>} The final results, as the JSON routes return them
+ */
+async function streamSearch(body, { signal, onEvent }) {
+    const res = await fetch("/api/search/stream", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+        signal,
+    });
+    if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${res.status}`);
+    }
+
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = "";
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        let end;
+        while ((end = buffer.indexOf("\n\n")) >= 0) {
+            const frame = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const event = frame.match(/^event: (.*)$/m)?.[1];
+            const data = frame.match(/^data: (.*)$/m)?.[1];
+            if (!event || data === undefined) continue;
+
+            const payload = JSON.parse(data);
+            if (event === "results") return payload;
+            if (event === "error") throw new Error(payload.error);
+            onEvent(event, payload);
+        }
     }
+    throw new Error("The search ended without results");
 }
 
-function renderResults(results, mode, elapsed) {
-    if (results.length === 0) {
-        dom.emptyState.classList.remove("d-none");
+/**
+ * Show the first page of a search.
+ * @param {object[]} results
+ * @param {"fast"|"deep"|"hybrid"} mode
+ * @param {string} elapsed - Seconds, for the header
+ * @param {{ total?: number|null, hasMore?: boolean, cached?: boolean }} [page]
+ * @param {{ keepFilters?: boolean }} [options] - keepFilters: these replace
+ *   results already on screen (streamed candidates), so leave the filter bar be
+ */
+function renderResults(results, mode, elapsed, { total = null, hasMore = false, cached = false } = {}, { keepFilters = false } = {}) {
+    const onScreen = keepFilters ? new Set(currentResults.map((r) => r.file)) : null;
+    currentResults = results;
+    resultsTotal = total;
+    resultsHaveMore = hasMore;
+    if (keepFilters) refreshExtOptions();
+    else resetResultFilters();
+    dom.resultsMore.classList.toggle("d-none", !hasMore);
+
+    const empty = results.length === 0;
+    dom.emptyState.classList.toggle("d-none", !empty);
+    dom.resultsMeta.classList.toggle("d-none", empty);
+    if (empty) {
+        dom.resultsGrid.innerHTML = "";
         return;
     }
 
     // Header
-    dom.resultsMeta.classList.remove("d-none");
-    dom.resultsCount.textContent = `${results.length} result${results.length > 1 ? "s" : ""}`;
-    dom.resultsTime.textContent = `${elapsed}s`;
-
-    const modeLabel = mode === "fast" ? "⚡ FAST" : "✨ DEEP";
+    dom.resultsTime.innerHTML = `${elapsed}s${cached
+        ? ` <span class="results-cached" title="Repeated search — served from the result cache">cached</span>`
+        : ""}`;
     dom.resultsModeBadge.className = `results-mode-badge ${mode}`;
-    dom.resultsModeBadge.textContent = modeLabel;
+    dom.resultsModeBadge.textContent = MODE_LABELS[mode];
+
+    renderResultCards({ onScreen });
+}
 
-    // Find max score for bar normalization
-    const scores = results.map((r) => r.score ?? 0);
+/** "10 results", "10 of 42 results", "10+ results" */
+function resultCountLabel(shown) {
+    const loaded = currentResults.length;
+    const known = resultsTotal ?? (resultsHaveMore ? `${loaded}+` : loaded);
+    if (shown === loaded && !resultsHaveMore) return `${loaded} result${loaded > 1 ? "s" : ""}`;
+    return `${shown} of ${known} results`;
+}
+
+/**
+ * Draw the cards that pass the filter bar, in the chosen order.
+ * @param {{ onScreen?: Set<string>|null }} [options] - Files already shown;
+ *   only the others play the entry animation
+ */
+function renderResultCards({ onScreen = null } = {}) {
+    const filters = readResultFilters();
+    const shown = sortResults(currentResults.filter((r) => matchesResultFilters(r, filters)), resultSort);
+    dom.resultsCount.textContent = resultCountLabel(shown.length);
+    dom.btnClearFilters.classList.toggle("d-none", !filters.active);
+
+    if (shown.length === 0) {
+        dom.resultsGrid.innerHTML = `<p class="result-filters-empty">No results match the filters.</p>`;
+        return;
+    }
+
+    // Bars are scaled to the best score loaded — always on the first page —
+    // so neither filtering nor loading more pages rescales them
+    const scores = currentResults.map((r) => r.score ?? 0);
     const maxScore = Math.max(...scores, 0.01);
+    let entering = 0;
 
-    dom.resultsGrid.innerHTML = results.map((r, i) => {
+    dom.resultsGrid.innerHTML = shown.map((r) => {
+        const index = currentResults.indexOf(r);
+        const animation = onScreen?.has(r.file) ? "animation:none" : `animation-delay:${entering++ * 50}ms`;
         const title = r.title || extractFilename(r.file);
         const snippet = cleanSnippet(r.snippet || "");
         const filePath = r.file || "";
@@ -264,7 +673,7 @@ function renderResults(results, mode, elapsed) {
         const iconClass = getFileIconClass(ext);
 
         return `
-      <div class="result-card" data-file="${escAttr(filePath)}" style="animation-delay:${i * 50}ms">
+      <div class="result-card" data-index="${index}" style="${animation}">
         <div class="result-card-header">
           <div class="result-title-group">
             <div class="result-file-icon ${iconClass}"><i class="bi ${getFileIcon(ext)}"></i></div>
@@ -277,28 +686,309 @@ function renderResults(results, mode, elapsed) {
         </div>
         ${snippet ? `<div class="result-snippet">${esc(snippet)}</div>` : ""}
         <div class="result-meta">
+          ${r.engines ? renderEngineBadges(r) : ""}
           ${collection ? `<span class="result-meta-item"><i class="bi bi-folder2"></i>${esc(collection)}</span>` : ""}
+          ${r.author ? `<span class="result-meta-item"><i class="bi bi-person"></i>${esc(r.author)}</span>` : ""}
+          ${r.source ? `<span class="result-meta-item" title="${escAttr(r.source)}"><i class="bi bi-arrow-left-right"></i>${esc(extractFilename(r.source))}</span>` : ""}
           <span class="result-meta-item"><i class="bi bi-filetype-${ext || "txt"}"></i> .${ext || "?"}</span>
-          <span class="result-meta-item"><i class="bi bi-box-arrow-up-right"></i> Open</span>
+          ${r.mtime ? `<span class="result-meta-item" title="Modified ${escAttr(new Date(r.mtime).toLocaleString())}"><i class="bi bi-calendar3"></i> ${formatAgo(r.mtime)}</span>` : ""}
+          ${r.size != null ? `<span class="result-meta-item">${formatBytes(r.size)}</span>` : ""}
+          <span class="result-meta-item"><i class="bi bi-eye"></i> Preview</span>
+          <button class="result-meta-item result-open-external" data-open-external title="Open in external editor">
+            <i class="bi bi-box-arrow-up-right"></i> Open
+          </button>
         </div>
       </div>
     `;
     }).join("");
 
     dom.resultsGrid.querySelectorAll(".result-card").forEach((card) => {
-        card.addEventListener("click", () => openFile(card.dataset.file));
+        const result = currentResults[card.dataset.index];
+        card.addEventListener("click", () => openPreview(result));
+        card.querySelector("[data-open-external]").addEventListener("click", (e) => {
+            e.stopPropagation();
+            openFile(result.file, resultLine(result));
+        });
     });
 }
 
-async function openFile(file) {
+/** Fetch the next page of the search on screen and add it to the cards */
+async function loadMoreResults() {
+    if (!lastSearch || !resultsHaveMore || loadMoreController || isSearching) return;
+
+    const controller = new AbortController();
+    loadMoreController = controller;
+    dom.btnLoadMore.disabled = true;
+    dom.btnLoadMore.innerHTML = `<span class="spinner-border spinner-border-sm"></span> Loading...`;
+
+    const { query, mode, collections: include, exclude } = lastSearch;
+    try {
+        const data = await api(SEARCH_ENDPOINTS[mode], {
+            method: "POST",
+            body: JSON.stringify({ q: query, collections: include, exclude, offset: currentResults.length }),
+            signal: controller.signal,
+        });
+        const onScreen = new Set(currentResults.map((r) => r.file));
+        const added = (data.results || []).filter((r) => !onScreen.has(r.file));
+        currentResults = [...currentResults, ...added];
+        resultsTotal = data.total ?? null;
+        resultsHaveMore = Boolean(data.hasMore) && added.length > 0;
+        renderResultCards({ onScreen });
+    } catch (err) {
+        if (err.name !== "AbortError") showToast(`Could not load more: ${err.message}`, "danger");
+    } finally {
+        loadMoreController = null;
+        dom.btnLoadMore.disabled = false;
+        dom.btnLoadMore.innerHTML = `<i class="bi bi-chevron-double-down"></i> Load more`;
+        // A new search owns the button now (and aborted this request)
+        if (!isSearching) dom.resultsMore.classList.toggle("d-none", !resultsHaveMore);
+    }
+}
+
+dom.btnLoadMore.addEventListener("click", loadMoreResults);
+
+/** Which engines found a hybrid result, with their own scores */
+function renderEngineBadges(r) {
+    const names = { fast: "⚡ Keyword", deep: "✨ Semantic" };
+    return r.engines.map((engine) => {
+        const score = r.engineScores?.[engine];
+        const title = `Found by ${engine === "fast" ? "BM25 keyword" : "semantic"} search${score != null ? ` (score ${score.toFixed(2)})` : ""}`;
+        return `<span class="engine-badge ${engine}" title="${escAttr(title)}">${names[engine] || esc(engine)}</span>`;
+    }).join("");
+}
+
+// ─── Result Filters ─────────────────────────────────────────────
+/** Offer the file types in the results, keeping the current choice if it's still there */
+function refreshExtOptions() {
+    const selected = dom.filterExt.value;
+    const exts = Array.from(new Set(currentResults.map((r) => extractExt(r.file)).filter(Boolean))).sort();
+    dom.filterExt.innerHTML = `<option value="">All types</option>`
+        + exts.map((ext) => `<option value="${escAttr(ext)}">.${esc(ext)}</option>`).join("");
+    dom.filterExt.value = exts.includes(selected) ? selected : "";
+}
+
+/** Empty the filter bar and offer the file types in the new results */
+function resetResultFilters() {
+    dom.filterExt.value = "";
+    refreshExtOptions();
+    dom.filterPath.value = "";
+    dom.filterFrom.value = "";
+    dom.filterTo.value = "";
+    dom.filterMinScore.value = "";
+    dom.resultSortSelect.value = resultSort;
+}
+
+function readResultFilters() {
+    // Date inputs are local calendar days: "from" is inclusive from midnight, "to" through the end of the day
+    const from = dom.filterFrom.value ? new Date(`${dom.filterFrom.value}T00:00`).getTime() : null;
+    const to = dom.filterTo.value ? new Date(`${dom.filterTo.value}T23:59:59.999`).getTime() : null;
+    const minScore = parseFloat(dom.filterMinScore.value);
+    const filters = {
+        ext: dom.filterExt.value,
+        path: dom.filterPath.value.trim().replace(/^\/+/, "").toLowerCase(),
+        from,
+        to,
+        minScore: Number.isFinite(minScore) && minScore > 0 ? minScore : null,
+    };
+    filters.active = Boolean(filters.ext || filters.path || from !== null || to !== null || filters.minScore !== null);
+    return filters;
+}
+
+function matchesResultFilters(r, { ext, path, from, to, minScore }) {
+    if (ext && extractExt(r.file) !== ext) return false;
+    if (path && !pathInCollection(r.file).toLowerCase().startsWith(path)) return false;
+    // Files whose date is unknown can't be in any date range
+    if ((from !== null || to !== null) && r.mtime == null) return false;
+    if (from !== null && r.mtime < from) return false;
+    if (to !== null && r.mtime > to) return false;
+    if (minScore !== null && (r.score ?? 0) < minScore) return false;
+    return true;
+}
+
+function sortResults(results, sort) {
+    const byScore = (a, b) => (b.score ?? 0) - (a.score ?? 0);
+    const title = (r) => r.title || extractFilename(r.file);
+    const sorted = results.slice();
+    if (sort === "date") sorted.sort((a, b) => (b.mtime ?? -Infinity) - (a.mtime ?? -Infinity) || byScore(a, b));
+    else if (sort === "title") sorted.sort((a, b) => title(a).localeCompare(title(b), undefined, { sensitivity: "base" }));
+    else sorted.sort(byScore);
+    return sorted;
+}
+
+for (const input of [dom.filterExt, dom.filterFrom, dom.filterTo]) {
+    input.addEventListener("change", renderResultCards);
+}
+for (const input of [dom.filterPath, dom.filterMinScore]) {
+    input.addEventListener("input", renderResultCards);
+}
+
+dom.resultSortSelect.addEventListener("change", () => {
+    resultSort = dom.resultSortSelect.value;
+    renderResultCards();
+});
+
+dom.btnClearFilters.addEventListener("click", () => {
+    resetResultFilters();
+    renderResultCards();
+});
+
+async function openFile(file, line) {
     if (!file) return;
     try {
-        await api("/open", { method: "POST", body: JSON.stringify({ file }) });
+        await api("/open", { method: "POST", body: JSON.stringify({ file, line }) });
     } catch (err) {
         showToast(`Could not open: ${err.message}`, "danger");
     }
 }
 
+// ─── Document Preview ───────────────────────────────────────────
+const previewPanel = new bootstrap.Offcanvas(dom.previewPanel);
+
+dom.previewPanel.addEventListener("hidden.bs.offcanvas", () => {
+    previewResult = null;
+    replaceDocInUrl(null);
+});
+
+async function openPreview(result) {
+    if (!result?.file) return;
+    previewResult = result;
+    replaceDocInUrl(result.file);
+    dom.previewTitle.textContent = result.title || extractFilename(result.file);
+    dom.previewPath.textContent = result.file;
+    dom.previewBody.innerHTML = `<div class="preview-loading"><span class="spinner-border spinner-border-sm"></span> Loading...</div>`;
+    previewPanel.show();
+
+    try {
+        const doc = await api(`/document?uri=${encodeURIComponent(result.file)}`);
+        if (previewResult !== result) return; // another result was opened meanwhile
+        renderPreview(doc, result);
+    } catch (err) {
+        if (previewResult !== result) return;
+        dom.previewBody.innerHTML = `<div class="preview-error"><i class="bi bi-exclamation-triangle"></i> ${esc(err.message)}</div>`;
+    }
+}
+
+function renderPreview(doc, result) {
+    // Converted files: show where they came from instead of the mirror path
+    const meta = doc.frontMatter || {};
+    if (meta.title) dom.previewTitle.textContent = meta.title;
+    if (meta.source) {
+        dom.previewPath.textContent = [meta.source, meta.author].filter(Boolean).join(" · ");
+    }
+
+    const ext = extractExt(doc.path);
+    if (ext === "md" || ext === "markdown") {
+        const html = DOMPurify.sanitize(marked.parse(doc.content));
+        dom.previewBody.innerHTML = `<article class="preview-markdown">${html}</article>`;
+        dom.previewBody.querySelectorAll("a[href]").forEach((a) => {
+            a.target = "_blank";
+            a.rel = "noopener noreferrer";
+        });
+        // Relative images (e.g. assets/ extracted from .docx) load through the server
+        dom.previewBody.querySelectorAll("img[src]").forEach((img) => {
+            const assetUri = resolveRelativeUri(doc.uri, img.getAttribute("src"));
+            if (assetUri) img.src = `/api/asset?uri=${encodeURIComponent(assetUri)}`;
+            img.loading = "lazy";
+        });
+    } else {
+        const pre = document.createElement("pre");
+        pre.className = "preview-plain";
+        pre.textContent = doc.content;
+        dom.previewBody.replaceChildren(pre);
+    }
+
+    highlightTerms(dom.previewBody, currentTerms);
+    scrollToMatch(dom.previewBody, result.snippet);
+}
+
+/**
+ * Resolve a document-relative link against the document's qmd:// URI.
+ * Returns null for absolute URLs (http:, data:, /...) and links that
+ * climb out of the collection.
+ */
+function resolveRelativeUri(docUri, src) {
+    if (!src || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(src)) return null;
+    const [, collection, docPath] = docUri.match(/^(qmd:\/\/[^/]+)\/(.*)$/) || [];
+    if (!collection) return null;
+
+    let decoded;
+    try {
+        decoded = decodeURIComponent(src.split(/[?#]/)[0]);
+    } catch {
+        return null;
+    }
+    const parts = docPath.split("/").slice(0, -1);
+    for (const segment of decoded.split("/")) {
+        if (segment === "..") {
+            if (parts.length === 0) return null;
+            parts.pop();
+        } else if (segment && segment !== ".") {
+            parts.push(segment);
+        }
+    }
+    return `${collection}/${parts.join("/")}`;
+}
+
+/** Words worth highlighting from a search query */
+function queryTerms(q) {
+    return Array.from(new Set(
+        q.toLowerCase().split(/\s+/).map((t) => t.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "")).filter((t) => t.length > 1)
+    ));
+}
+
+/** Wrap query terms in <mark> — walks text nodes so markup stays intact */
+function highlightTerms(container, terms) {
+    if (terms.length === 0) return;
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    for (const node of nodes) {
+        const text = node.nodeValue;
+        pattern.lastIndex = 0;
+        if (!pattern.test(text)) continue;
+        const frag = document.createDocumentFragment();
+        text.split(pattern).forEach((part, i) => {
+            if (!part) return;
+            if (i % 2 === 1) {
+                const mark = document.createElement("mark");
+                mark.className = "preview-hit";
+                mark.textContent = part;
+                frag.appendChild(mark);
+            } else {
+                frag.appendChild(document.createTextNode(part));
+            }
+        });
+        node.replaceWith(frag);
+    }
+}
+
+/** Scroll the preview to the block containing the result's snippet */
+function scrollToMatch(container, snippet) {
+    const normalize = (str) => str.replace(/[#>*_`~\-]+/g, " ").replace(/\s+/g, " ").trim().toLowerCase();
+    const needle = cleanSnippet(snippet || "").split("\n").map(normalize).find((l) => l.length > 8);
+
+    let target = null;
+    if (needle) {
+        const probe = needle.slice(0, 60);
+        const blocks = container.querySelectorAll("p, li, h1, h2, h3, h4, h5, h6, td, blockquote, pre");
+        target = Array.from(blocks).find((el) => normalize(el.textContent).includes(probe)) || null;
+    }
+    // Plain-text files are a single <pre> — land on the first hit inside it instead
+    const hit = (target || container).querySelector("mark.preview-hit");
+    if (!target || target.tagName === "PRE") target = hit || target;
+    if (!target) return;
+
+    target.classList.add("preview-match");
+    const offset = target.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+    container.scrollTop = Math.max(0, offset - container.clientHeight / 3);
+}
+
+dom.previewOpenExternal.addEventListener("click", () => {
+    if (previewResult) openFile(previewResult.file, resultLine(previewResult));
+});
+
 // ─── Add Collection ─────────────────────────────────────────────
 dom.addCollectionForm.addEventListener("submit", async (e) => {
     e.preventDefault();
@@ -319,12 +1009,107 @@ dom.addCollectionForm.addEventListener("submit", async (e) => {
         showCollectionFeedback(data.message || "Collection added!", "success");
         dom.addCollectionForm.reset();
         $("colMask").value = "**/*.md";
+        dom.folderBrowser.classList.add("d-none");
+        dom.maskPreview.innerHTML = "";
         await loadCollections();
     } catch (err) {
         showCollectionFeedback(`Error: ${err.message}`, "danger");
     }
 });
 
+// ─── Folder Browser ─────────────────────────────────────────────
+async function browseFolder(dirPath) {
+    try {
+        const query = dirPath ? `?path=${encodeURIComponent(dirPath)}` : "";
+        folderBrowserState = await api(`/fs/list${query}`);
+        renderFolderBrowser();
+    } catch (err) {
+        // Typed path is outside the roots or gone — fall back to the roots
+        if (dirPath) return browseFolder(null);
+        dom.folderBrowserList.innerHTML = `<p class="folder-browser-empty">${esc(err.message)}</p>`;
+    }
+}
+
+function renderFolderBrowser() {
+    const { path: current, parent, entries, truncated } = folderBrowserState;
+    dom.folderBrowserPath.textContent = current || "Allowed folders";
+    dom.folderBrowserPath.title = current || "";
+    dom.folderUp.disabled = !parent && !current;
+    dom.folderSelect.disabled = !current;
+
+    if (entries.length === 0) {
+        dom.folderBrowserList.innerHTML = `<p class="folder-browser-empty">No subfolders</p>`;
+        return;
+    }
+    dom.folderBrowserList.innerHTML = entries.map((e) => `
+      <button type="button" class="folder-browser-item" data-folder="${escAttr(e.path)}">
+        <i class="bi bi-folder2"></i> ${esc(e.name)}
+      </button>`).join("")
+        + (truncated ? `<p class="folder-browser-empty">Only the first ${entries.length} folders are shown</p>` : "");
+
+    dom.folderBrowserList.querySelectorAll("[data-folder]").forEach((btn) => {
+        btn.addEventListener("click", () => browseFolder(btn.dataset.folder));
+    });
+}
+
+dom.btnBrowseFolder.addEventListener("click", () => {
+    const open = dom.folderBrowser.classList.toggle("d-none") === false;
+    if (open) browseFolder(dom.colPath.value.trim() || null);
+});
+
+dom.folderUp.addEventListener("click", () => {
+    // At a root, "up" goes back to the list of roots
+    if (folderBrowserState) browseFolder(folderBrowserState.parent);
+});
+
+dom.folderSelect.addEventListener("click", () => {
+    if (!folderBrowserState?.path) return;
+    dom.colPath.value = folderBrowserState.path;
+    dom.folderBrowser.classList.add("d-none");
+    scheduleMaskPreview();
+});
+
+// ─── Mask Preview ───────────────────────────────────────────────
+function scheduleMaskPreview() {
+    clearTimeout(maskPreviewTimer);
+    maskPreviewTimer = setTimeout(updateMaskPreview, 400);
+}
+
+async function updateMaskPreview() {
+    const dirPath = dom.colPath.value.trim();
+    const mask = dom.colMask.value.trim() || "**/*.md";
+    if (!dirPath) {
+        dom.maskPreview.innerHTML = "";
+        return;
+    }
+
+    dom.maskPreview.innerHTML = `<span class="spinner-border spinner-border-sm"></span> Checking folder…`;
+    try {
+        const data = await api(`/fs/preview?path=${encodeURIComponent(dirPath)}&mask=${encodeURIComponent(mask)}`);
+        // A newer keystroke has already changed the inputs
+        if (dom.colPath.value.trim() !== dirPath || (dom.colMask.value.trim() || "**/*.md") !== mask) return;
+
+        if (data.files === 0) {
+            dom.maskPreview.innerHTML = `<span class="text-warning"><i class="bi bi-exclamation-triangle"></i>
+              No files in this folder match <code>${esc(mask)}</code></span>`;
+            return;
+        }
+        const more = data.files - data.sample.length;
+        dom.maskPreview.innerHTML = `
+          <span><i class="bi bi-check2-circle"></i> ${data.files}${data.truncated ? "+" : ""} file${data.files !== 1 ? "s" : ""}
+            · ${formatBytes(data.totalSize)} would be indexed</span>
+          <ul class="mask-preview-files">
+            ${data.sample.map((f) => `<li>${esc(f)}</li>`).join("")}
+            ${more > 0 ? `<li class="mask-preview-more">…and ${more} more</li>` : ""}
+          </ul>`;
+    } catch (err) {
+        dom.maskPreview.innerHTML = `<span class="text-danger"><i class="bi bi-x-circle"></i> ${esc(err.message)}</span>`;
+    }
+}
+
+dom.colPath.addEventListener("input", scheduleMaskPreview);
+dom.colMask.addEventListener("input", scheduleMaskPreview);
+
 function showCollectionFeedback(msg, type) {
     dom.collectionFeedback.classList.remove("d-none");
     dom.collectionAlert.className = `alert alert-${type}`;
@@ -332,31 +1117,444 @@ function showCollectionFeedback(msg, type) {
     setTimeout(() => dom.collectionFeedback.classList.add("d-none"), 4000);
 }
 
-// ─── Embed ──────────────────────────────────────────────────────
-dom.btnEmbed.addEventListener("click", async () => {
-    dom.btnEmbed.disabled = true;
-    dom.btnEmbed.innerHTML = `<span class="spinner-border spinner-border-sm"></span> Embedding...`;
+// ─── Embed / Update ─────────────────────────────────────────────
+async function startIndexJob(endpoint, label) {
+    try {
+        const data = await api(endpoint, { method: "POST" });
+        showToast(data.message || `${label} started`, "info");
+        upsertJob(data.job);
+        followJob(data.job.id);
+    } catch (err) {
+        showToast(`${label} failed: ${err.message}`, "danger");
+    }
+}
+
+dom.btnEmbed.addEventListener("click", () => startIndexJob("/embed", "Embedding"));
+dom.btnUpdate.addEventListener("click", () => startIndexJob("/update", "Index update"));
+
+/** Queued jobs are waiting for a qmd slot — still in flight as far as the UI cares */
+function isJobActive(job) {
+    return job.status === "running" || job.status === "queued";
+}
+
+function renderJobButtons() {
+    const running = (type) => jobs.find((j) => j.type === type && isJobActive(j));
+    const progress = (job) => (job.progress != null ? ` ${Math.round(job.progress)}%` : "...");
+
+    const embed = running("embed");
+    dom.btnEmbed.disabled = Boolean(embed);
+    dom.btnEmbed.innerHTML = !embed
+        ? `<i class="bi bi-cpu"></i> Re-embed All`
+        : embed.status === "queued"
+            ? `<i class="bi bi-hourglass-split"></i> Embedding queued`
+            : `<span class="spinner-border spinner-border-sm"></span> Embedding${progress(embed)}`;
+
+    const update = running("update");
+    dom.btnUpdate.disabled = Boolean(update);
+    dom.btnUpdate.innerHTML = update
+        ? `<span class="spinner-border spinner-border-sm"></span> Updating${progress(update)}`
+        : `<i class="bi bi-arrow-clockwise"></i> Update Index`;
+}
+
+// ─── Background Jobs ────────────────────────────────────────────
+async function loadJobs() {
+    try {
+        const data = await api("/jobs");
+        jobs = data.jobs || [];
+        renderJobs();
+        // Pick up a job started elsewhere (or before a reload)
+        const running = jobs.find(isJobActive);
+        if (running && !jobStream) followJob(running.id);
+    } catch { /* non-critical */ }
+}
+
+function upsertJob(job) {
+    const idx = jobs.findIndex((j) => j.id === job.id);
+    if (idx >= 0) jobs[idx] = { ...jobs[idx], ...job };
+    else jobs.unshift(job);
+    renderJobs();
+}
+
+function renderJobs() {
+    dom.jobCount.textContent = jobs.length;
+    renderJobButtons();
+
+    if (jobs.length === 0) {
+        dom.jobList.innerHTML = `<p style="font-size:0.82rem;color:var(--text-muted);padding:0.5rem 0;">No jobs yet.</p>`;
+        return;
+    }
+
+    const statusIcons = {
+        queued: "bi-hourglass-split",
+        running: "bi-arrow-repeat",
+        succeeded: "bi-check-circle-fill",
+        failed: "bi-x-circle-fill",
+        cancelled: "bi-slash-circle",
+    };
+
+    dom.jobList.innerHTML = jobs.map((j) => {
+        const pct = j.progress != null ? Math.round(j.progress) : null;
+        const ended = j.finishedAt ? formatDuration(j.finishedAt - j.startedAt) : "";
+        const ahead = j.status === "queued" && j.queue ? ` · ${j.queue.ahead} ahead` : "";
+        return `
+      <div class="job-item ${j.id === followedJobId ? "active" : ""}" data-job="${escAttr(j.id)}">
+        <div class="job-item-info">
+          <span class="job-item-name">
+            <i class="bi ${statusIcons[j.status] || "bi-circle"} job-status-${j.status}"></i>
+            ${esc(j.command)}
+          </span>
+          <span class="collection-item-detail">
+            ${esc(j.status)}${ahead}${pct != null && j.status === "running" ? ` · ${pct}%` : ""}
+            · ${new Date(j.startedAt).toLocaleTimeString()}${ended ? ` · ${ended}` : ""}
+            ${j.error ? ` · ${esc(j.error)}` : ""}
+          </span>
+          ${j.status === "running" ? `<div class="job-progress"><div class="job-progress-fill ${pct == null ? "indeterminate" : ""}" style="width:${pct ?? 100}%"></div></div>` : ""}
+        </div>
+        ${isJobActive(j) ? `<button class="btn-remove" title="Cancel" data-cancel-job="${escAttr(j.id)}"><i class="bi bi-stop-circle"></i></button>` : ""}
+      </div>
+    `;
+    }).join("");
+
+    dom.jobList.querySelectorAll("[data-job]").forEach((el) => {
+        el.addEventListener("click", () => followJob(el.dataset.job));
+    });
+    dom.jobList.querySelectorAll("[data-cancel-job]").forEach((btn) => {
+        btn.addEventListener("click", async (e) => {
+            e.stopPropagation();
+            try {
+                const data = await api(`/jobs/${encodeURIComponent(btn.dataset.cancelJob)}/cancel`, { method: "POST" });
+                upsertJob(data.job);
+            } catch (err) {
+                showToast(`Could not cancel: ${err.message}`, "danger");
+            }
+        });
+    });
+}
+
+/** Stream a job's log into the modal until it finishes */
+function followJob(id) {
+    if (jobStream) jobStream.close();
+    followedJobId = id;
+    dom.jobLog.classList.remove("d-none");
+    dom.jobLog.textContent = "";
+    renderJobs();
+
+    const stream = new EventSource(`/api/jobs/${encodeURIComponent(id)}/events`);
+    jobStream = stream;
+
+    stream.addEventListener("snapshot", (e) => {
+        const job = JSON.parse(e.data);
+        dom.jobLog.textContent = job.log.map((l) => l.text).join("\n");
+        dom.jobLog.scrollTop = dom.jobLog.scrollHeight;
+        delete job.log;
+        upsertJob(job);
+    });
+    stream.addEventListener("queued", (e) => {
+        const { jobId, ahead, kinds } = JSON.parse(e.data);
+        upsertJob({ id: jobId, queue: { ahead, kinds } });
+    });
+    stream.addEventListener("started", (e) => {
+        upsertJob(JSON.parse(e.data));
+    });
+    stream.addEventListener("log", (e) => {
+        const entry = JSON.parse(e.data);
+        dom.jobLog.textContent += (dom.jobLog.textContent ? "\n" : "") + entry.text;
+        dom.jobLog.scrollTop = dom.jobLog.scrollHeight;
+    });
+    stream.addEventListener("progress", (e) => {
+        const { jobId, progress } = JSON.parse(e.data);
+        upsertJob({ id: jobId, progress });
+    });
+    stream.addEventListener("done", (e) => {
+        const job = JSON.parse(e.data);
+        const known = jobs.find((j) => j.id === job.id);
+        const wasRunning = Boolean(known && isJobActive(known));
+        stream.close();
+        if (jobStream === stream) jobStream = null;
+        upsertJob(job);
+        if (!wasRunning) return;
+        if (job.status === "succeeded") {
+            showToast(`${job.command} finished`, "success");
+            if (job.type === "update") loadCollections();
+        } else if (job.status === "cancelled") {
+            showToast(`${job.command} cancelled`, "warning");
+        } else {
+            showToast(`${job.command} failed: ${job.error || "unknown error"}`, "danger");
+        }
+    });
+}
+
+dom.collectionModal.addEventListener("show.bs.modal", loadJobs);
+
+// ─── Converter ──────────────────────────────────────────────────
+async function loadConverter() {
+    try {
+        const data = await api("/converter/status");
+        const snapshot = JSON.stringify(data);
+        if (snapshot === converterSnapshot) return;
+        converterSnapshot = snapshot;
+        renderWatchList(data);
+        renderConversions(data.recent || []);
+    } catch (err) {
+        showConverterFeedback(`Could not load converter status: ${err.message}`, "danger");
+    }
+}
+
+function renderWatchList(data) {
+    const watched = data.watched || [];
+    dom.watchCount.textContent = watched.length;
+    dom.autoWatchCollections.checked = Boolean(data.autoWatchCollections);
+
+    const failed = data.restore?.failed || [];
+    dom.watchRestoreAlert.classList.toggle("d-none", failed.length === 0);
+    dom.watchRestoreAlert.innerHTML = failed.length
+        ? `<i class="bi bi-exclamation-circle"></i> Not restored at startup: ${failed.map((f) => `<code>${esc(f.path)}</code> (${esc(f.error)})`).join(", ")}`
+        : "";
+
+    dom.convertOutputOptions.innerHTML = watched.map((w) => `<option value="${escAttr(w.mirrorDir)}"></option>`).join("");
+
+    if (watched.length === 0) {
+        dom.watchList.innerHTML = `<p style="font-size:0.82rem;color:var(--text-muted);padding:0.5rem 0;">No folders watched yet. Add one below.</p>`;
+        return;
+    }
+
+    dom.watchList.innerHTML = watched.map((w) => `
+    <div class="collection-item">
+      <div class="collection-item-info">
+        <span class="collection-item-name">${esc(w.path)}</span>
+        <span class="collection-item-detail">
+          <i class="bi bi-arrow-return-right"></i> ${esc(w.mirrorDir)}
+          ${w.source === "collection" ? `<span class="converter-badge">collection</span>` : ""}
+        </span>
+      </div>
+      <button class="btn-remove" title="Stop watching" data-unwatch="${escAttr(w.path)}">
+        <i class="bi bi-eye-slash"></i>
+      </button>
+    </div>
+  `).join("");
+
+    dom.watchList.querySelectorAll("[data-unwatch]").forEach((btn) => {
+        btn.addEventListener("click", async () => {
+            try {
+                await api("/converter/unwatch", { method: "POST", body: JSON.stringify({ path: btn.dataset.unwatch }) });
+                showToast("Stopped watching", "success");
+                await loadConverter();
+            } catch (err) {
+                showToast(`Failed: ${err.message}`, "danger");
+            }
+        });
+    });
+}
+
+function renderConversions(recent) {
+    dom.conversionCount.textContent = recent.length;
+
+    if (recent.length === 0) {
+        dom.conversionList.innerHTML = `<p style="font-size:0.82rem;color:var(--text-muted);padding:0.5rem 0;">Nothing converted since the server started.</p>`;
+        return;
+    }
+
+    dom.conversionList.innerHTML = recent.map((c) => `
+    <div class="collection-item conversion-item">
+      <div class="collection-item-info">
+        <span class="collection-item-name">
+          <i class="bi ${c.ok ? "bi-check-circle-fill job-status-succeeded" : "bi-x-circle-fill job-status-failed"}"></i>
+          ${esc(c.title || extractFilename(c.source))}
+        </span>
+        <span class="collection-item-detail">
+          ${c.ok ? `<i class="bi bi-arrow-return-right"></i> ${esc(c.output)}` : esc(c.error || "Failed")}
+          · ${esc(c.origin)} · ${new Date(c.at).toLocaleTimeString()}
+        </span>
+        ${c.warnings.length ? `
+        <details class="conversion-warnings">
+          <summary>${c.warnings.length} warning${c.warnings.length > 1 ? "s" : ""}</summary>
+          <ul>${c.warnings.map((w) => `<li>${esc(w)}</li>`).join("")}</ul>
+        </details>` : ""}
+      </div>
+    </div>
+  `).join("");
+}
+
+function showConverterFeedback(msg, type) {
+    dom.converterFeedback.classList.remove("d-none");
+    dom.converterAlert.className = `alert alert-${type}`;
+    dom.converterAlert.textContent = msg;
+    setTimeout(() => dom.converterFeedback.classList.add("d-none"), 4000);
+}
+
+function conversionMessage(data) {
+    const warnings = data.warnings?.length ? ` (${data.warnings.length} warning${data.warnings.length > 1 ? "s" : ""})` : "";
+    return `Converted → ${data.outputPath}${warnings}`;
+}
+
+dom.watchForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const watchPath = $("watchPath").value.trim();
+    if (!watchPath) return;
     try {
-        await api("/embed", { method: "POST" });
-        showToast("Embedding complete!", "success");
+        const data = await api("/converter/watch", { method: "POST", body: JSON.stringify({ path: watchPath }) });
+        showConverterFeedback(`${data.message} → ${data.mirrorDir}`, "success");
+        dom.watchForm.reset();
+        await loadConverter();
+    } catch (err) {
+        showConverterFeedback(`Error: ${err.message}`, "danger");
+    }
+});
+
+dom.autoWatchCollections.addEventListener("change", async () => {
+    try {
+        await api("/converter/settings", {
+            method: "POST",
+            body: JSON.stringify({ autoWatchCollections: dom.autoWatchCollections.checked }),
+        });
+        await loadConverter();
     } catch (err) {
-        showToast(`Embedding failed: ${err.message}`, "danger");
+        dom.autoWatchCollections.checked = !dom.autoWatchCollections.checked;
+        showConverterFeedback(`Error: ${err.message}`, "danger");
+    }
+});
+
+dom.convertForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const file = $("convertSourcePath").value.trim();
+    if (!file) {
+        showConverterFeedback("Enter a file path, or drop a file above", "warning");
+        return;
+    }
+    const body = { file };
+    const outputDir = dom.convertOutputDir.value.trim();
+    if (outputDir) body.outputDir = outputDir;
+
+    try {
+        const data = await api("/converter/convert", { method: "POST", body: JSON.stringify(body) });
+        showConverterFeedback(conversionMessage(data), "success");
+        await loadConverter();
+    } catch (err) {
+        showConverterFeedback(`Error: ${err.message}`, "danger");
+    }
+});
+
+async function uploadForConversion(file) {
+    if (!file) return;
+    const outputDir = dom.convertOutputDir.value.trim();
+    if (!outputDir) {
+        showConverterFeedback("Choose an output folder for dropped files", "warning");
+        dom.convertOutputDir.focus();
+        return;
+    }
+
+    const params = new URLSearchParams({ name: file.name, outputDir, lastModified: file.lastModified });
+    dom.convertDropzone.classList.add("busy");
+    try {
+        const data = await api(`/converter/upload?${params}`, {
+            method: "POST",
+            headers: { "Content-Type": "application/octet-stream" },
+            body: file,
+        });
+        showConverterFeedback(conversionMessage(data), "success");
+        await loadConverter();
+    } catch (err) {
+        showConverterFeedback(`Error: ${err.message}`, "danger");
     } finally {
-        dom.btnEmbed.disabled = false;
-        dom.btnEmbed.innerHTML = `<i class="bi bi-cpu"></i> Re-embed All`;
+        dom.convertDropzone.classList.remove("busy");
+        dom.convertFileInput.value = "";
     }
+}
+
+dom.convertFileInput.addEventListener("change", () => uploadForConversion(dom.convertFileInput.files[0]));
+
+dom.convertDropzone.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    dom.convertDropzone.classList.add("dragover");
 });
+dom.convertDropzone.addEventListener("dragleave", () => dom.convertDropzone.classList.remove("dragover"));
+dom.convertDropzone.addEventListener("drop", (e) => {
+    e.preventDefault();
+    dom.convertDropzone.classList.remove("dragover");
+    uploadForConversion(e.dataTransfer.files[0]);
+});
+
+dom.converterModal.addEventListener("show.bs.modal", () => {
+    loadConverter();
+    converterPoll = setInterval(loadConverter, 5000);
+});
+dom.converterModal.addEventListener("hidden.bs.modal", () => {
+    clearInterval(converterPoll);
+    converterPoll = null;
+});
+
+// ─── Query Preview ──────────────────────────────────────────────
+/** Does the query use any of the query language (quotes, +/-, field:)? */
+function hasQuerySyntax(q) {
+    return /["+:]|(^|\s)-/.test(q);
+}
+
+function scheduleQueryPreview() {
+    clearTimeout(queryPreviewTimer);
+    queryPreviewTimer = setTimeout(updateQueryPreview, 150);
+}
+
+/** Show how the server reads the query — only once it uses some syntax */
+async function updateQueryPreview() {
+    const q = dom.searchInput.value;
+    if (!q.trim() || !hasQuerySyntax(q)) {
+        dom.queryPreview.classList.add("d-none");
+        return;
+    }
+    try {
+        const data = await api(`/search/parse?q=${encodeURIComponent(q)}`);
+        if (dom.searchInput.value !== q) return; // typed on meanwhile
+        renderQueryPreview(q, data);
+    } catch {
+        dom.queryPreview.classList.add("d-none"); // the preview is optional
+    }
+}
+
+function renderQueryPreview(q, { tokens, error }) {
+    let html = "";
+    let at = 0;
+    for (const token of tokens) {
+        html += esc(q.slice(at, token.start));
+        const hint = token.message || (token.type === "filter" ? `${token.field}: filter` : QUERY_TOKEN_HINTS[token.type]);
+        html += `<span class="query-token ${escAttr(token.type)}"${hint ? ` title="${escAttr(hint)}"` : ""}>${esc(token.text)}</span>`;
+        at = token.end;
+    }
+    html += esc(q.slice(at));
+    dom.queryPreview.innerHTML = `
+      <span class="query-preview-tokens">${html}</span>
+      ${error ? `<span class="query-preview-error"><i class="bi bi-exclamation-circle"></i> ${esc(error)}</span>` : ""}`;
+    dom.queryPreview.classList.remove("d-none");
+}
 
 // ─── Keyboard ───────────────────────────────────────────────────
 dom.searchInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
+    const open = !dom.searchSuggestions.classList.contains("d-none");
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        if (!open) return showSuggestions();
+        moveSuggestion(e.key === "ArrowDown" ? 1 : -1);
+    } else if (e.key === "Escape" && open) {
+        e.stopPropagation();
+        hideSuggestions();
+    } else if (e.key === "Enter") {
         e.preventDefault();
-        doSearch(e.shiftKey ? "deep" : "fast");
+        if (open && suggestionIndex >= 0) runSearchEntry(suggestions[suggestionIndex]);
+        else doSearch(e.ctrlKey || e.metaKey ? "hybrid" : e.shiftKey ? "deep" : "fast");
     }
 });
 
+dom.searchInput.addEventListener("input", () => {
+    clearTimeout(suggestionTimer);
+    suggestionTimer = setTimeout(showSuggestions, 150);
+    scheduleQueryPreview();
+});
+dom.searchInput.addEventListener("focus", showSuggestions);
+dom.searchInput.addEventListener("blur", () => setTimeout(hideSuggestions, 150));
+
 document.addEventListener("keydown", (e) => {
-    if (e.key === "/" && document.activeElement !== dom.searchInput) {
+    // "/" focuses search — except while typing somewhere else (paths have slashes)
+    const typing = e.target.closest?.("input, textarea, select, [contenteditable]");
+    if (e.key === "/" && !typing) {
         e.preventDefault();
         dom.searchInput.focus();
     }
@@ -371,6 +1569,275 @@ document.addEventListener("keydown", (e) => {
 
 dom.btnFast.addEventListener("click", () => doSearch("fast"));
 dom.btnDeep.addEventListener("click", () => doSearch("deep"));
+dom.btnHybrid.addEventListener("click", () => doSearch("hybrid"));
+
+// ─── URL State ──────────────────────────────────────────────────
+// /search?q=oncall+runbook&mode=deep&c=notes&doc=qmd://notes/runbook.md
+// Each search is a browser history entry; opening or closing the
+// preview only rewrites the current entry's `doc`.
+
+function searchUrl({ query, mode, collections: include = [], exclude = [], doc }) {
+    const params = new URLSearchParams({ q: query });
+    if (mode !== "fast") params.set("mode", mode);
+    for (const name of include) params.append("c", name);
+    for (const name of exclude) params.append("x", name);
+    if (doc) params.set("doc", doc);
+    return `/search?${params}`;
+}
+
+/** The search described by the address bar, or null on any other page */
+function readUrlState() {
+    if (location.pathname !== "/search") return null;
+    const params = new URLSearchParams(location.search);
+    const query = params.get("q")?.trim();
+    if (!query) return null;
+    return {
+        query,
+        mode: Object.hasOwn(SEARCH_ENDPOINTS, params.get("mode")) ? params.get("mode") : "fast",
+        collections: params.getAll("c").filter(Boolean),
+        exclude: params.getAll("x").filter(Boolean),
+        doc: params.get("doc") || null,
+    };
+}
+
+function pushSearchUrl(search) {
+    const url = searchUrl(search);
+    if (url !== location.pathname + location.search) history.pushState(null, "", url);
+    document.title = `${search.query} — QMD`;
+}
+
+/** Point the current entry at the previewed document (or drop it) */
+function replaceDocInUrl(doc) {
+    const state = readUrlState();
+    if (state) history.replaceState(null, "", searchUrl({ ...state, doc }));
+}
+
+/** Show whatever the address bar describes — on load and on back/forward */
+async function restoreFromUrl() {
+    const state = readUrlState();
+    if (!state) {
+        resetSearch();
+        return;
+    }
+
+    dom.searchInput.value = state.query;
+    setCollectionFilter(state);
+    document.title = `${state.query} — QMD`;
+
+    // Same search as on screen (e.g. only `doc` differs) — don't re-run it
+    const onScreen = lastSearch && searchUrl(lastSearch) === searchUrl({ ...state, doc: null });
+    if (!onScreen) await doSearch(state.mode, { fromUrl: true });
+
+    if (state.doc) {
+        if (previewResult?.file !== state.doc) {
+            openPreview(currentResults.find((r) => r.file === state.doc) || { file: state.doc });
+        }
+    } else if (previewResult) {
+        previewPanel.hide();
+    }
+}
+
+/** Back to the start page — nothing searched, nothing previewed */
+function resetSearch() {
+    cancelSearch();
+    if (previewResult) previewPanel.hide();
+    dom.searchInput.value = "";
+    lastSearch = null;
+    currentTerms = [];
+    scheduleQueryPreview();
+    currentResults = [];
+    dom.resultsGrid.innerHTML = "";
+    dom.resultsMeta.classList.add("d-none");
+    dom.resultsMore.classList.add("d-none");
+    dom.emptyState.classList.add("d-none");
+    dom.welcomeState?.classList.remove("d-none");
+    document.title = DEFAULT_TITLE;
+}
+
+window.addEventListener("popstate", restoreFromUrl);
+
+// ─── History & Saved Searches ───────────────────────────────────
+/** Run a history entry or saved search with its own mode and collections */
+function runSearchEntry(entry) {
+    dom.searchInput.value = entry.query;
+    setCollectionFilter(entry);
+    doSearch(entry.mode);
+}
+
+async function showSuggestions() {
+    const q = dom.searchInput.value.trim();
+    let history = [];
+    try {
+        history = (await api(`/history?limit=8&q=${encodeURIComponent(q)}`)).history;
+    } catch { /* suggestions are optional */ }
+    // The user kept typing, left the box or started a search while we were fetching
+    if (dom.searchInput.value.trim() !== q || document.activeElement !== dom.searchInput || isSearching) return;
+
+    const needle = q.toLowerCase();
+    const saved = savedSearches
+        .filter((s) => !needle || s.name.toLowerCase().includes(needle) || s.query.toLowerCase().includes(needle))
+        .slice(0, 5)
+        .map((s) => ({ ...s, kind: "saved" }));
+    suggestions = [...saved, ...history.map((h) => ({ ...h, kind: "history" }))];
+    suggestionIndex = -1;
+    renderSuggestions(history.length > 0);
+}
+
+function renderSuggestions(hasHistory) {
+    if (suggestions.length === 0) return hideSuggestions();
+
+    dom.searchSuggestions.innerHTML = suggestions.map((s, i) => `
+      <div class="suggestion-item ${i === suggestionIndex ? "active" : ""}" role="option" data-suggestion="${i}"
+        aria-selected="${i === suggestionIndex}">
+        <i class="bi ${s.kind === "saved" ? "bi-star-fill suggestion-saved" : "bi-clock-history"}"></i>
+        <span class="suggestion-query">${s.kind === "saved" ? `<strong>${esc(s.name)}</strong> · ` : ""}${esc(s.query)}</span>
+        <span class="suggestion-meta">
+          <span class="results-mode-badge ${s.mode}">${s.mode}</span>
+          ${s.collections.length || s.exclude.length ? `<i class="bi bi-folder2"></i> ${esc(describeCollectionFilter(s))}` : ""}
+          ${s.kind === "history" ? `· ${s.results} result${s.results !== 1 ? "s" : ""} · ${formatAgo(s.at)}` : ""}
+        </span>
+        ${s.kind === "saved" ? `<button class="btn-pin ${s.pinned ? "pinned" : ""}" data-pin-saved="${escAttr(s.id)}"
+          title="${s.pinned ? "Unpin from the search bar" : "Pin under the search bar"}" aria-pressed="${Boolean(s.pinned)}">
+          <i class="bi ${s.pinned ? "bi-pin-angle-fill" : "bi-pin-angle"}"></i>
+        </button>
+        <button class="btn-remove" title="Delete saved search" data-delete-saved="${escAttr(s.id)}">
+          <i class="bi bi-trash3"></i>
+        </button>` : ""}
+      </div>`).join("")
+        + (hasHistory ? `<button class="suggestion-clear" id="btnClearHistory"><i class="bi bi-x-circle"></i> Clear history</button>` : "");
+
+    dom.searchSuggestions.classList.remove("d-none");
+    dom.searchInput.setAttribute("aria-expanded", "true");
+
+    // mousedown, not click — the input would blur (and close the list) first
+    dom.searchSuggestions.querySelectorAll("[data-suggestion]").forEach((el) => {
+        el.addEventListener("mousedown", (e) => {
+            if (e.target.closest("[data-delete-saved], [data-pin-saved]")) return;
+            e.preventDefault();
+            runSearchEntry(suggestions[Number(el.dataset.suggestion)]);
+        });
+    });
+    dom.searchSuggestions.querySelectorAll("[data-pin-saved]").forEach((btn) => {
+        btn.addEventListener("mousedown", async (e) => {
+            e.preventDefault();
+            const saved = savedSearches.find((s) => s.id === btn.dataset.pinSaved);
+            if (saved) await setSavedPinned(saved.id, !saved.pinned);
+            showSuggestions();
+        });
+    });
+    dom.searchSuggestions.querySelectorAll("[data-delete-saved]").forEach((btn) => {
+        btn.addEventListener("mousedown", async (e) => {
+            e.preventDefault();
+            await deleteSavedSearch(btn.dataset.deleteSaved);
+            showSuggestions();
+        });
+    });
+    $("btnClearHistory")?.addEventListener("mousedown", async (e) => {
+        e.preventDefault();
+        try {
+            await api("/history", { method: "DELETE" });
+            showToast("Search history cleared", "success");
+            showSuggestions();
+        } catch (err) {
+            showToast(`Could not clear history: ${err.message}`, "danger");
+        }
+    });
+}
+
+function moveSuggestion(step) {
+    if (suggestions.length === 0) return;
+    // Cycles through every entry and back to "none highlighted" (-1)
+    const slots = suggestions.length + 1;
+    suggestionIndex = ((suggestionIndex + 1 + step) % slots + slots) % slots - 1;
+    dom.searchSuggestions.querySelectorAll("[data-suggestion]").forEach((el, i) => {
+        el.classList.toggle("active", i === suggestionIndex);
+        el.setAttribute("aria-selected", String(i === suggestionIndex));
+        if (i === suggestionIndex) el.scrollIntoView({ block: "nearest" });
+    });
+}
+
+function hideSuggestions() {
+    clearTimeout(suggestionTimer);
+    dom.searchSuggestions.classList.add("d-none");
+    dom.searchInput.setAttribute("aria-expanded", "false");
+    suggestionIndex = -1;
+}
+
+async function loadSavedSearches() {
+    try {
+        savedSearches = (await api("/saved")).saved || [];
+    } catch {
+        savedSearches = [];
+    }
+    renderSavedSearchBar();
+}
+
+/** Pinned saved searches, shown as chips under the search bar */
+function renderSavedSearchBar() {
+    const pinned = savedSearches.filter((s) => s.pinned);
+    dom.savedSearchBar.classList.toggle("d-none", pinned.length === 0);
+    dom.savedSearchBar.innerHTML = pinned.map((s) => `
+      <span class="saved-chip" data-saved="${escAttr(s.id)}" title="${escAttr(`${s.query} (${[s.mode, describeCollectionFilter(s)].filter(Boolean).join(", ")})`)}">
+        <i class="bi bi-pin-angle-fill"></i> ${esc(s.name)}
+        <button class="saved-chip-unpin" title="Unpin" data-unpin="${escAttr(s.id)}"><i class="bi bi-x"></i></button>
+      </span>`).join("");
+
+    dom.savedSearchBar.querySelectorAll("[data-saved]").forEach((chip) => {
+        chip.addEventListener("click", (e) => {
+            if (e.target.closest("[data-unpin]")) return;
+            const saved = savedSearches.find((s) => s.id === chip.dataset.saved);
+            if (saved) runSearchEntry(saved);
+        });
+    });
+    dom.savedSearchBar.querySelectorAll("[data-unpin]").forEach((btn) => {
+        btn.addEventListener("click", () => setSavedPinned(btn.dataset.unpin, false));
+    });
+}
+
+/** Pin a saved search under the search bar, or take it off */
+async function setSavedPinned(id, pinned) {
+    try {
+        await api(`/saved/${encodeURIComponent(id)}`, {
+            method: "PATCH",
+            body: JSON.stringify({ pinned }),
+        });
+        await loadSavedSearches();
+    } catch (err) {
+        showToast(`Could not ${pinned ? "pin" : "unpin"}: ${err.message}`, "danger");
+    }
+}
+
+async function deleteSavedSearch(id) {
+    try {
+        await api(`/saved/${encodeURIComponent(id)}`, { method: "DELETE" });
+        await loadSavedSearches();
+    } catch (err) {
+        showToast(`Could not delete: ${err.message}`, "danger");
+    }
+}
+
+dom.btnSaveSearch.addEventListener("click", async () => {
+    if (!lastSearch) return;
+    const name = prompt("Name this search:", lastSearch.query);
+    if (!name?.trim()) return;
+    try {
+        await api("/saved", {
+            method: "POST",
+            body: JSON.stringify({
+                name: name.trim(),
+                q: lastSearch.query,
+                mode: lastSearch.mode,
+                collections: lastSearch.collections,
+                exclude: lastSearch.exclude,
+                pinned: true,
+            }),
+        });
+        showToast(`Saved "${name.trim()}" — pinned under the search bar`, "success");
+        await loadSavedSearches();
+    } catch (err) {
+        showToast(`Could not save: ${err.message}`, "danger");
+    }
+});
 
 // ─── Helpers ────────────────────────────────────────────────────
 function esc(str) {
@@ -383,6 +1850,10 @@ function escAttr(str) {
     return str.replace(/"/g, "&quot;").replace(/'/g, "&#39;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
 }
 
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
 function extractFilename(filepath) {
     if (!filepath) return "Unknown";
     const parts = filepath.replace("qmd://", "").split("/");
@@ -396,6 +1867,14 @@ function extractCollection(filepath) {
     return idx > 0 ? inner.substring(0, idx) : null;
 }
 
+/** "qmd://notes/2024/q1.md" → "2024/q1.md" */
+function pathInCollection(filepath) {
+    if (!filepath) return "";
+    if (!filepath.startsWith("qmd://")) return filepath;
+    const inner = filepath.replace("qmd://", "");
+    return inner.substring(inner.indexOf("/") + 1);
+}
+
 function extractExt(filepath) {
     if (!filepath) return "";
     const name = filepath.split("/").pop() || "";
@@ -409,7 +1888,11 @@ function getFileIcon(ext) {
         txt: "bi-file-text-fill",
         doc: "bi-file-word-fill",
         docx: "bi-file-word-fill",
+        odt: "bi-file-richtext-fill",
+        rtf: "bi-file-richtext",
         pdf: "bi-file-pdf-fill",
+        html: "bi-filetype-html",
+        htm: "bi-filetype-html",
         json: "bi-filetype-json",
         yml: "bi-filetype-yml",
         yaml: "bi-filetype-yml",
@@ -420,10 +1903,46 @@ function getFileIcon(ext) {
 function getFileIconClass(ext) {
     if (ext === "md") return "icon-md";
     if (ext === "txt") return "icon-txt";
-    if (ext === "doc" || ext === "docx") return "icon-doc";
+    if (ext === "doc" || ext === "docx" || ext === "odt" || ext === "rtf") return "icon-doc";
+    if (ext === "pdf") return "icon-pdf";
+    if (ext === "html" || ext === "htm") return "icon-html";
     return "icon-default";
 }
 
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    const units = ["KB", "MB", "GB", "TB"];
+    let value = bytes / 1024;
+    let i = 0;
+    while (value >= 1024 && i < units.length - 1) {
+        value /= 1024;
+        i++;
+    }
+    return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[i]}`;
+}
+
+/** "5m ago", "3d ago" — falls back to a date for anything older than a month */
+function formatAgo(timestamp) {
+    const secs = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+    if (secs < 60) return "just now";
+    if (secs < 3600) return `${Math.floor(secs / 60)}m ago`;
+    if (secs < 86400) return `${Math.floor(secs / 3600)}h ago`;
+    if (secs < 30 * 86400) return `${Math.floor(secs / 86400)}d ago`;
+    return new Date(timestamp).toLocaleDateString();
+}
+
+function formatDuration(ms) {
+    const secs = Math.round(ms / 1000);
+    return secs < 60 ? `${secs}s` : `${Math.floor(secs / 60)}m ${secs % 60}s`;
+}
+
+/** Line of the match — qmd snippets start with a diff-style "@@ -12,4 @@" header */
+function resultLine(result) {
+    if (Number.isInteger(result.line)) return result.line;
+    const m = (result.snippet || "").match(/@@\s*-?(\d+)/);
+    return m ? parseInt(m[1], 10) : undefined;
+}
+
 function cleanSnippet(snippet) {
     return snippet.replace(/@@ .+? @@\s*(\(.+?\))?\s*\n?/g, "").trim();
 }
@@ -460,3 +1979,6 @@ function showToast(message, type = "info") {
 
 // ─── Boot ───────────────────────────────────────────────────────
 loadCollections();
+loadJobs();
+loadSavedSearches();
+restoreFromUrl();
@@ -0,0 +1,69 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — qmd CLI
+   ═══════════════════════════════════════════════════════════════
+   Runs one-shot qmd commands and collects their output. Long
+   running commands (embed, update) go through jobs.js instead.
+   Searches wait their turn in scheduler.js before qmd starts.
+
+   Usage:
+     import { runQmd } from './qmdcli.js';
+     const { ok, stdout } = await runQmd(["status"]);
+   ═══════════════════════════════════════════════════════════════ */
+
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { acquireSlot, isScheduled } from "./scheduler.js";
+
+const execFileAsync = promisify(execFile);
+
+/** Call `onLine` for each stderr line (or progress redraw) as it's written */
+function watchLines(stream, onLine) {
+    let pending = "";
+    stream.on("data", (chunk) => {
+        pending += chunk;
+        const lines = pending.split(/\r\n|\n|\r/);
+        pending = lines.pop();
+        for (const line of lines) if (line.trim()) onLine(line.trim());
+    });
+}
+
+/**
+ * Run qmd with the given args.
+ * Pass `signal` to kill the child early — the result then has `aborted: true`.
+ * Pass `onStderrLine` to follow progress while it runs.
+ * `search` and `query` wait for a free slot first (see scheduler.js):
+ * `onQueued` hears how much is ahead while waiting, `onStart` when qmd
+ * starts. The timeout counts from the start.
+ * @returns {Promise<{ ok: boolean, aborted?: boolean, stdout: string, stderr: string }>}
+ */
+export async function runQmd(args, timeoutMs = 60_000, { signal, onStderrLine, onQueued, onStart } = {}) {
+    let release = () => {};
+    if (isScheduled(args[0])) {
+        try {
+            release = await acquireSlot(args[0], { signal, onWait: onQueued });
+        } catch (err) {
+            return { ok: false, aborted: err.name === "AbortError", stdout: "", stderr: err.message };
+        }
+    }
+
+    try {
+        const running = execFileAsync("qmd", args, {
+            timeout: timeoutMs,
+            maxBuffer: 10 * 1024 * 1024, // 10MB
+            signal,
+        });
+        onStart?.();
+        if (onStderrLine) watchLines(running.child.stderr, onStderrLine);
+        const { stdout, stderr } = await running;
+        return { ok: true, stdout: stdout.trim(), stderr: stderr.trim() };
+    } catch (err) {
+        return {
+            ok: false,
+            aborted: err.name === "AbortError",
+            stdout: err.stdout?.trim() || "",
+            stderr: err.stderr?.trim() || err.message,
+        };
+    } finally {
+        release();
+    }
+}
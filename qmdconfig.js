@@ -0,0 +1,229 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — qmd Configuration
+   ═══════════════════════════════════════════════════════════════
+   Reads qmd's own config (~/.config/qmd/index.yml) with a real
+   YAML parser, so quoting, comments, flow style and any indent
+   width work. Paths have `~` expanded and are made absolute.
+
+   The parsed result is cached; every read stats the file and
+   re-parses only when its mtime or size changed, so edits made
+   by the qmd CLI are picked up without a restart.
+
+   Edits (mask, path, context) go through the YAML document model,
+   so comments and layout in the user's file survive a rewrite.
+
+   Usage:
+     import { getCollection } from './qmdconfig.js';
+     const notes = getCollection("notes"); // { name, path, mask, contexts }
+   ═══════════════════════════════════════════════════════════════ */
+
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import YAML from "yaml";
+
+const CONFIG_FILE = path.join(os.homedir(), ".config", "qmd", "index.yml");
+
+// qmd's default when a collection has no pattern
+const DEFAULT_MASK = "**/*.md";
+
+const EMPTY = Object.freeze({ collections: [], globalContext: null });
+
+let cache = { key: null, config: EMPTY, error: null };
+
+/** "~/notes" → "/home/me/notes"; relative paths resolve against the config dir */
+function expandPath(value) {
+    let p = String(value).trim();
+    if (p === "~") p = os.homedir();
+    else if (p.startsWith("~/")) p = path.join(os.homedir(), p.slice(2));
+    return path.resolve(path.dirname(CONFIG_FILE), p);
+}
+
+/**
+ * Contexts map a path prefix inside the collection to a description,
+ * e.g. { "/": "Meeting notes", "/2024": "Last year's meetings" }.
+ * A bare string is shorthand for the collection root.
+ */
+function normalizeContexts(value) {
+    if (typeof value === "string") return value.trim() ? { "/": value.trim() } : {};
+    if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+    const contexts = {};
+    for (const [prefix, text] of Object.entries(value)) {
+        if (typeof text === "string" && text.trim()) contexts[prefix] = text.trim();
+    }
+    return contexts;
+}
+
+function normalizeCollection(name, raw) {
+    if (!raw || typeof raw !== "object" || typeof raw.path !== "string" || !raw.path.trim()) return null;
+    const mask = raw.pattern ?? raw.mask;
+    return {
+        name: String(name),
+        path: expandPath(raw.path),
+        mask: typeof mask === "string" && mask.trim() ? mask.trim() : DEFAULT_MASK,
+        contexts: normalizeContexts(raw.context),
+    };
+}
+
+/** Collections are a name → settings map; a list of { name, ... } is accepted too */
+function normalizeConfig(doc) {
+    if (!doc || typeof doc !== "object") return EMPTY;
+
+    const entries = Array.isArray(doc.collections)
+        ? doc.collections.map((c) => [c?.name, c])
+        : Object.entries(doc.collections || {});
+
+    const collections = [];
+    for (const [name, raw] of entries) {
+        if (name === undefined || name === null || name === "") continue;
+        const collection = normalizeCollection(name, raw);
+        if (collection) collections.push(collection);
+    }
+
+    const globalContext = typeof doc.global_context === "string" && doc.global_context.trim()
+        ? doc.global_context.trim()
+        : null;
+    return { collections, globalContext };
+}
+
+/** Re-parse the config if it changed on disk since the last call */
+function load() {
+    let stat;
+    try {
+        stat = fs.statSync(CONFIG_FILE);
+    } catch {
+        cache = { key: null, config: EMPTY, error: null }; // no config yet — no collections
+        return cache;
+    }
+
+    const key = `${stat.mtimeMs}:${stat.size}`;
+    if (key === cache.key) return cache;
+
+    try {
+        const config = normalizeConfig(YAML.parse(fs.readFileSync(CONFIG_FILE, "utf-8")));
+        cache = { key, config, error: null };
+    } catch (err) {
+        // Likely caught mid-write — keep serving the last good parse
+        console.error(`  ✗ Could not parse ${CONFIG_FILE}:`, err.message);
+        cache = { key, config: cache.config, error: err.message };
+    }
+    return cache;
+}
+
+/** The YAML map node for a collection, in either the map or list layout */
+function findCollectionNode(doc, name) {
+    const collections = doc.get("collections");
+    if (YAML.isMap(collections)) {
+        const pair = collections.items.find((p) => String(YAML.isScalar(p.key) ? p.key.value : p.key) === name);
+        return YAML.isMap(pair?.value) ? pair.value : null;
+    }
+    if (YAML.isSeq(collections)) {
+        return collections.items.find((item) => YAML.isMap(item) && String(item.get("name")) === name) || null;
+    }
+    return null;
+}
+
+function setRootContext(doc, node, text) {
+    const current = node.get("context");
+    if (YAML.isMap(current)) {
+        if (text) current.set("/", text);
+        else current.delete("/");
+        if (current.items.length === 0) node.delete("context");
+    } else if (text) {
+        node.set("context", doc.createNode({ "/": text }));
+    } else {
+        node.delete("context");
+    }
+}
+
+// ─── Exported API ─────────────────────────────────────────────
+
+/**
+ * The current qmd config.
+ * @returns {{ file: string, collections: object[], globalContext: string|null, error: string|null }}
+ */
+export function getQmdConfig() {
+    const { config, error } = load();
+    return { file: CONFIG_FILE, ...config, error };
+}
+
+/**
+ * Every configured collection: [{ name, path, mask, contexts }].
+ */
+export function getCollections() {
+    return load().config.collections;
+}
+
+/**
+ * One collection by name.
+ * @param {string} name
+ * @returns {{ name: string, path: string, mask: string, contexts: Record<string, string> }|null}
+ */
+export function getCollection(name) {
+    return getCollections().find((c) => c.name === name) || null;
+}
+
+/**
+ * Absolute source directories of all collections.
+ * @returns {string[]}
+ */
+export function getCollectionPaths() {
+    return getCollections().map((c) => c.path);
+}
+
+/**
+ * Change a collection's settings in index.yml.
+ * Only the given fields are touched; an empty context removes the
+ * collection's root context.
+ * @param {string} name
+ * @param {{ mask?: string, path?: string, context?: string }} changes
+ * @returns {Promise<object>} The updated collection
+ * @throws {Error} If the collection isn't in the config
+ */
+export async function updateCollectionConfig(name, changes) {
+    const doc = YAML.parseDocument(await fsp.readFile(CONFIG_FILE, "utf-8"));
+    if (doc.errors.length > 0) throw new Error(`Could not parse ${CONFIG_FILE}: ${doc.errors[0].message}`);
+
+    const node = findCollectionNode(doc, name);
+    if (!node) throw new Error(`Collection "${name}" is not in ${CONFIG_FILE}`);
+
+    if (changes.mask !== undefined) {
+        // Keep whichever key the file already uses
+        node.set(node.has("mask") && !node.has("pattern") ? "mask" : "pattern", changes.mask);
+    }
+    if (changes.path !== undefined) node.set("path", changes.path);
+    if (changes.context !== undefined) setRootContext(doc, node, changes.context.trim());
+
+    const tmp = `${CONFIG_FILE}.qmd-ui.tmp`;
+    await fsp.writeFile(tmp, doc.toString(), "utf-8");
+    await fsp.rename(tmp, CONFIG_FILE);
+    cache.key = null; // re-read even if mtime and size happen to match
+
+    const updated = getCollection(name);
+    if (!updated) throw new Error(`Collection "${name}" is no longer valid after the edit`);
+    return updated;
+}
+
+/**
+ * Map a qmd://collection/file URI to the actual filesystem path, using
+ * the collection's source directory. Anything that isn't a qmd:// URI
+ * is returned as is.
+ * @param {string} uri
+ * @returns {string|null} null if the collection is unknown or the path escapes it
+ */
+export function resolveQmdUri(uri) {
+    if (!uri || !uri.startsWith("qmd://")) return uri;
+
+    const inner = uri.slice("qmd://".length); // "knowledge base/qmd-ui-notes.txt"
+    const slashIdx = inner.indexOf("/");
+    if (slashIdx < 0) return null;
+
+    const collection = getCollection(inner.substring(0, slashIdx));
+    if (!collection) return null;
+
+    const resolved = path.join(collection.path, inner.substring(slashIdx + 1));
+    // Never resolve outside the collection's own folder
+    if (path.relative(collection.path, resolved).startsWith("..")) return null;
+    return resolved;
+}
@@ -0,0 +1,201 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Query Syntax
+   ═══════════════════════════════════════════════════════════════
+   Parses what's typed in the search box:
+
+     "exact phrase"     must appear as written
+     +term  -term       must / must not appear
+     collection:notes   only this collection (-collection: to skip it)
+     ext:pdf            only files converted from (or named) .pdf
+     path:meetings/     only files whose path contains this
+     after:2024-06-01   only files changed since (also 30d, 2w, 6m, 1y)
+
+   Everything else is plain words. The words (and the words of
+   phrases and +terms) are what qmd searches for, handed over as one
+   argv element — no shell, so no characters need blocking. The rest
+   is checked against the results afterwards (see search.js).
+
+   Usage:
+     import { parseQuery } from './querysyntax.js';
+     const parsed = parseQuery('standup -draft "action items" after:30d');
+     if (parsed.error) ...; else runSearch({ query: parsed.text, filters: parsed.filters });
+   ═══════════════════════════════════════════════════════════════ */
+
+const MAX_QUERY_LENGTH = 500;
+
+/** field: prefixes we understand — anything else (e.g. "http:") is a plain word */
+const FIELDS = ["collection", "ext", "path", "after"];
+
+/**
+ * One token: leading +/- operators, an optional field prefix, then a
+ * "quoted value" (the closing quote may be missing) or a bare word.
+ */
+const TOKEN = /([+-]*)(?:([a-z]+):(?=\S))?(?:"([^"]*)("?)|(\S+))/iy;
+
+/** Is there anything to search for — not just punctuation? */
+function hasWordChars(text) {
+    return /[\p{L}\p{N}]/u.test(text);
+}
+
+/**
+ * after: value → ms since epoch, or null if it isn't a date we
+ * understand. Both forms count from local midnight, so "30d" means the
+ * same thing all day (and repeated searches can be cached).
+ */
+function parseAfter(value, now) {
+    const relative = value.match(/^(\d{1,4})([dwmy])$/i);
+    if (relative) {
+        const count = Number(relative[1]);
+        const at = new Date(now);
+        at.setHours(0, 0, 0, 0);
+        switch (relative[2].toLowerCase()) {
+            case "d": at.setDate(at.getDate() - count); break;
+            case "w": at.setDate(at.getDate() - count * 7); break;
+            case "m": at.setMonth(at.getMonth() - count); break;
+            case "y": at.setFullYear(at.getFullYear() - count); break;
+        }
+        return at.getTime();
+    }
+    const date = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+    if (!date) return null;
+    const [year, month = 1, day = 1] = date.slice(1).map((part) => (part === undefined ? undefined : Number(part)));
+    const at = new Date(year, month - 1, day);
+    // Reject roll-overs like 2024-02-31
+    if (at.getMonth() !== month - 1 || at.getDate() !== day) return null;
+    return at.getTime();
+}
+
+/** Check a field's value; returns an error message or null */
+function checkField(field, value, negated, knownCollections) {
+    if (!value) return `${field}: needs a value`;
+    switch (field) {
+        case "collection":
+            if (/[\/\\\0]/.test(value)) return `Invalid collection name "${value}"`;
+            if (knownCollections && !knownCollections.includes(value)) return `No collection named "${value}"`;
+            return null;
+        case "ext":
+            return /^\.?[a-z0-9]{1,10}$/i.test(value) ? null : `Invalid extension "${value}"`;
+        case "path":
+            return /[\0-\x1f]/.test(value) ? `Invalid path "${value}"` : null;
+        case "after":
+            if (negated) return "after: can't be negated";
+            return null;
+    }
+    return null;
+}
+
+// ─── Exported API ─────────────────────────────────────────────
+
+/**
+ * Parse a search box query.
+ *
+ * Tokens cover the whole query in order, for the search bar's preview:
+ * { type, text, start, end, field?, value?, message? } where type is
+ * "word", "phrase", "required", "excluded", "filter", "ignored" (no
+ * letters or digits to search for) or "invalid" (with a message).
+ *
+ * @param {unknown} input
+ * @param {{ collections?: string[]|null, now?: number }} [options]
+ *   collections: known collection names, to reject typos (null = don't check)
+ * @returns {{ error: string|null, tokens: object[], text: string, terms: string[],
+ *   collections: string[], exclude: string[],
+ *   filters: { required: string[], excluded: string[], ext: string[], notExt: string[],
+ *     path: string[], notPath: string[], after: number|null } }}
+ *   text is what qmd searches for; terms are the words and phrases to highlight
+ */
+export function parseQuery(input, { collections: knownCollections = null, now = Date.now() } = {}) {
+    const parsed = {
+        error: null,
+        tokens: [],
+        text: "",
+        terms: [],
+        collections: [],
+        exclude: [],
+        filters: { required: [], excluded: [], ext: [], notExt: [], path: [], notPath: [], after: null },
+    };
+    if (typeof input !== "string" || !input.trim()) {
+        parsed.error = "Invalid or missing query";
+        return parsed;
+    }
+    if (input.length > MAX_QUERY_LENGTH) {
+        parsed.error = `Queries are limited to ${MAX_QUERY_LENGTH} characters`;
+        return parsed;
+    }
+
+    const words = [];
+    const { filters } = parsed;
+    let i = 0;
+    while (i < input.length) {
+        if (/\s/.test(input[i])) {
+            i++;
+            continue;
+        }
+        TOKEN.lastIndex = i;
+        const [text, ops, rawField, quoted, closing, bare] = TOKEN.exec(input);
+        const token = { type: "word", text, start: i, end: i + text.length };
+        i = token.end;
+        parsed.tokens.push(token);
+
+        const negated = ops.includes("-");
+        const required = !negated && ops.includes("+");
+        const field = rawField?.toLowerCase();
+        const known = FIELDS.includes(field);
+        // An unknown prefix is part of the word: "http://x" searches for "http://x"
+        const value = (known ? "" : rawField ? `${rawField}:` : "") + (quoted ?? bare).trim();
+
+        if (quoted !== undefined && !closing) {
+            Object.assign(token, { type: "invalid", message: "Missing closing quote" });
+            continue;
+        }
+
+        if (known) {
+            Object.assign(token, { type: "filter", field, value });
+            const problem = checkField(field, value, negated, knownCollections);
+            if (problem) {
+                Object.assign(token, { type: "invalid", message: problem });
+                continue;
+            }
+            if (field === "collection") (negated ? parsed.exclude : parsed.collections).push(value);
+            else if (field === "ext") (negated ? filters.notExt : filters.ext).push(value.replace(/^\./, "").toLowerCase());
+            else if (field === "path") (negated ? filters.notPath : filters.path).push(value.toLowerCase());
+            else {
+                const after = parseAfter(value, now);
+                if (after === null) Object.assign(token, { type: "invalid", message: `Not a date: "${value}" (try 2024-06-01 or 30d)` });
+                else filters.after = after;
+            }
+            continue;
+        }
+
+        token.value = value;
+        if (!hasWordChars(value)) {
+            token.type = "ignored";
+            continue;
+        }
+        const isPhrase = quoted !== undefined;
+        if (negated) {
+            token.type = "excluded";
+            filters.excluded.push(value);
+            continue;
+        }
+        token.type = required ? "required" : isPhrase ? "phrase" : "word";
+        if (required || isPhrase) filters.required.push(value);
+        words.push(value);
+        parsed.terms.push(value);
+    }
+
+    // A leading dash would make qmd read the query as an option
+    parsed.text = words.join(" ").replace(/^[-\s]+/, "");
+    parsed.terms = Array.from(new Set(parsed.terms.map((t) => t.toLowerCase())));
+    parsed.error = parsed.tokens.find((t) => t.type === "invalid")?.message
+        ?? (parsed.text ? null : "Add some words to search for — filters and -terms only narrow a search");
+    return parsed;
+}
+
+/**
+ * Whether any of a parsed query's filters need checking against the results.
+ * @param {object} filters - parseQuery(...).filters
+ */
+export function hasResultFilters(filters) {
+    return Boolean(filters) && (filters.after !== null
+        || ["required", "excluded", "ext", "notExt", "path", "notPath"].some((key) => filters[key].length > 0));
+}
@@ -0,0 +1,158 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — qmd Scheduler
+   ═══════════════════════════════════════════════════════════════
+   Caps how many qmd processes run at once. `qmd query` and
+   `qmd embed` load models and can take gigabytes each, so they
+   share a small pool; everything past the cap waits in line, first
+   come first served. BM25 searches (`qmd search`) have a pool of
+   their own, so they're never stuck behind a model run.
+
+   Pool sizes (env):
+     QMD_UI_MAX_MODEL_RUNS   query + embed at once (default 1)
+     QMD_UI_MAX_SEARCH_RUNS  BM25 searches at once (default 4)
+
+   Usage:
+     import { acquireSlot } from './scheduler.js';
+     const release = await acquireSlot("query", { signal, onWait: ({ ahead }) => ... });
+     try { ... } finally { release(); }
+   ═══════════════════════════════════════════════════════════════ */
+
+/** Which pool each kind of qmd run waits in */
+const KINDS = {
+    search: "search",
+    query: "model",
+    embed: "model",
+};
+
+function poolSize(name, fallback) {
+    const n = parseInt(process.env[name]);
+    return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+const pools = {
+    model: { limit: poolSize("QMD_UI_MAX_MODEL_RUNS", 1), running: new Set(), waiting: [] },
+    search: { limit: poolSize("QMD_UI_MAX_SEARCH_RUNS", 4), running: new Set(), waiting: [] },
+};
+
+/** Count runs by kind: { query: 2, embed: 1 } */
+function countKinds(runs) {
+    const kinds = {};
+    for (const run of runs) kinds[run.kind] = (kinds[run.kind] || 0) + 1;
+    return kinds;
+}
+
+/** Tell each waiter how much is ahead of it (what's running plus the queue before it) when that changed */
+function reportPositions(pool) {
+    pool.waiting.forEach((waiter, index) => {
+        const ahead = [...pool.running, ...pool.waiting.slice(0, index)];
+        const wait = { ahead: ahead.length, kinds: countKinds(ahead) };
+        const reported = JSON.stringify(wait);
+        if (reported === waiter.reported) return;
+        waiter.reported = reported;
+        try {
+            waiter.onWait?.(wait);
+        } catch (err) {
+            console.error("  ✗ Queue listener error:", err.message);
+        }
+    });
+}
+
+/** Start waiters while there's room */
+function drain(pool) {
+    let started = false;
+    while (pool.running.size < pool.limit && pool.waiting.length > 0) {
+        const waiter = pool.waiting.shift();
+        waiter.start();
+        started = true;
+    }
+    if (started) reportPositions(pool);
+}
+
+/** Give a run's slot back (at most once) and start whoever is next */
+function releaser(pool, run) {
+    return () => {
+        if (!pool.running.delete(run)) return;
+        drain(pool);
+    };
+}
+
+function abortError() {
+    return new DOMException("Waiting for a qmd slot was aborted", "AbortError");
+}
+
+// ─── Exported API ─────────────────────────────────────────────
+
+/**
+ * Kinds of qmd run that are scheduled; anything else runs straight away.
+ * @param {string} kind - qmd's subcommand, e.g. "query"
+ */
+export function isScheduled(kind) {
+    return Object.hasOwn(KINDS, kind);
+}
+
+/**
+ * Take a slot if one is free and nobody is waiting for it.
+ * @param {"search"|"query"|"embed"} kind
+ * @returns {(() => void)|null} release, or null if the run would have to wait
+ */
+export function tryAcquireSlot(kind) {
+    const pool = pools[KINDS[kind]];
+    if (pool.running.size >= pool.limit || pool.waiting.length > 0) return null;
+    const run = { kind, since: Date.now() };
+    pool.running.add(run);
+    return releaser(pool, run);
+}
+
+/**
+ * Wait for a slot to run qmd. Call the returned `release` when the
+ * process has exited.
+ * @param {"search"|"query"|"embed"} kind
+ * @param {{ signal?: AbortSignal,
+ *   onWait?: (wait: { ahead: number, kinds: Record<string, number> }) => void }} [options]
+ *   onWait hears the line ahead whenever it changes while waiting (not if a slot is free)
+ * @returns {Promise<() => void>}
+ * @throws {DOMException} AbortError if `signal` aborts while waiting
+ */
+export function acquireSlot(kind, { signal, onWait } = {}) {
+    const pool = pools[KINDS[kind]];
+    if (signal?.aborted) return Promise.reject(abortError());
+    const release = tryAcquireSlot(kind);
+    if (release) return Promise.resolve(release);
+
+    return new Promise((resolve, reject) => {
+        const waiter = {
+            kind,
+            onWait,
+            start() {
+                signal?.removeEventListener("abort", onAbort);
+                const run = { kind, since: Date.now() };
+                pool.running.add(run);
+                resolve(releaser(pool, run));
+            },
+        };
+        const onAbort = () => {
+            const index = pool.waiting.indexOf(waiter);
+            if (index < 0) return;
+            pool.waiting.splice(index, 1);
+            reportPositions(pool);
+            reject(abortError());
+        };
+
+        signal?.addEventListener("abort", onAbort, { once: true });
+        pool.waiting.push(waiter);
+        reportPositions(pool);
+    });
+}
+
+/**
+ * What's running and waiting in each pool.
+ * @returns {Record<string, { limit: number, running: Array<{ kind: string, since: number }>,
+ *   waiting: Array<{ kind: string }> }>}
+ */
+export function getQueue() {
+    return Object.fromEntries(Object.entries(pools).map(([name, pool]) => [name, {
+        limit: pool.limit,
+        running: Array.from(pool.running, ({ kind, since }) => ({ kind, since })),
+        waiting: pool.waiting.map(({ kind }) => ({ kind })),
+    }]));
+}
@@ -0,0 +1,359 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Search
+   ═══════════════════════════════════════════════════════════════
+   Runs `qmd search` (fast, BM25) and `qmd query` (deep, semantic)
+   across a selection of collections.
+
+   qmd takes one collection per call, so searching several
+   collections — or everything except some — runs one call per
+   collection and merges the results: the same file is kept once,
+   at its best score.
+
+   qmd has no offset either, so a page is cut from the top
+   `offset + limit` results. The total is known only when qmd ran
+   out of matches before that; otherwise `hasMore` says to ask again.
+
+   Results are cached (see searchcache.js); a cached answer has
+   `cached: true` and runs no qmd at all.
+
+   Hybrid runs both and fuses the two rankings with reciprocal rank
+   fusion; each result lists the engines that found it.
+
+   The query language's filters (see querysyntax.js) that qmd has no
+   flag for — phrases, +/-terms, ext:, path:, after: — are checked
+   against the files themselves. qmd is asked for more results to
+   make up for the ones they drop.
+
+   Usage:
+     import { runSearch } from './search.js';
+     const { ok, results } = await runSearch({ mode: "fast", query: "okrs",
+       collections: ["meetings", "research"], exclude: ["archive"] });
+   ═══════════════════════════════════════════════════════════════ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { runQmd } from "./qmdcli.js";
+import { getCollections, resolveQmdUri } from "./qmdconfig.js";
+import { parseCollectionList } from "./collections.js";
+import { readFrontMatter } from "./frontmatter.js";
+import { lookupSearch } from "./searchcache.js";
+import { hasResultFilters } from "./querysyntax.js";
+
+/**
+ * How each mode runs. Deep searches load LLMs, so they run one at a time.
+ * defaultN/maxN bound a page; maxWindow bounds how deep paging can go.
+ */
+const MODES = {
+    fast: { command: "search", firstStage: "searching", timeoutMs: 60_000, defaultN: 10, maxN: 50, maxWindow: 500, parallel: true, failure: "Search failed" },
+    deep: { command: "query", firstStage: "expanding", timeoutMs: 120_000, defaultN: 5, maxN: 20, maxWindow: 100, parallel: false, failure: "Query failed" },
+    // Both engines, fused by rank; paging is bounded by the slower one
+    hybrid: { engines: ["fast", "deep"], defaultN: 10, maxN: 20, maxWindow: 100, failure: "Hybrid search failed" },
+};
+
+// With result filters, ask qmd for this many times the page — filters drop some
+const FILTER_OVERFETCH = 3;
+
+// Rank fusion constant — the usual 60 keeps any one engine's top hits from dominating
+const RRF_K = 60;
+
+/** What qmd is doing, going by the words in its stderr progress lines */
+const STAGES = [
+    ["expanding", /expan/i],
+    ["reranking", /rerank/i],
+    ["retrieving", /search|retriev|vector|bm25|candidate/i],
+];
+
+/** Modes the UI can run (and save) */
+export const SEARCH_MODES = Object.keys(MODES);
+
+/**
+ * Clamp a requested page to what the mode allows. Past maxWindow the
+ * page comes back short (or empty).
+ * @param {"fast"|"deep"} mode
+ * @param {{ offset?: unknown, limit?: unknown }} page
+ * @returns {{ offset: number, limit: number }}
+ */
+export function clampPage(mode, { offset, limit }) {
+    const { defaultN, maxN, maxWindow } = MODES[mode];
+    const start = Math.min(Math.max(parseInt(offset) || 0, 0), maxWindow);
+    const size = Math.min(Math.max(parseInt(limit) || defaultN, 1), maxN);
+    return { offset: start, limit: Math.min(size, maxWindow - start) };
+}
+
+/** Every collection name — from the config, or qmd itself if there's no config */
+async function allCollectionNames() {
+    const configured = getCollections().map((c) => c.name);
+    if (configured.length > 0) return configured;
+    const list = await runQmd(["collection", "list"]);
+    return list.ok ? parseCollectionList(list.stdout).map((c) => c.name) : [];
+}
+
+/**
+ * Which collections to search: null means "everything" (no -c flag).
+ * @returns {Promise<string[]|null>} An empty array if everything was excluded
+ */
+async function resolveTargets(collections, exclude) {
+    if (collections.length === 0 && exclude.length === 0) return null;
+    const pool = collections.length > 0 ? collections : await allCollectionNames();
+    return Array.from(new Set(pool)).filter((name) => !exclude.includes(name));
+}
+
+/** Keep each file once, at its best score, best first */
+function mergeResults(lists) {
+    const byFile = new Map();
+    for (const r of lists.flat()) {
+        const key = r.file ?? JSON.stringify(r);
+        const existing = byFile.get(key);
+        if (!existing || (r.score ?? 0) > (existing.score ?? 0)) byFile.set(key, r);
+    }
+    return Array.from(byFile.values())
+        .sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+}
+
+/**
+ * Add each file's mtime and size (ms since epoch, bytes — null if the
+ * file can't be found) so results can be filtered and sorted by date,
+ * and fill in title/author/source from converted files' front matter,
+ * so result cards show the original document's details.
+ */
+export async function enrichResults(results) {
+    if (!Array.isArray(results)) return results;
+    return Promise.all(results.map(async (r) => {
+        const filePath = typeof r.file === "string" ? resolveQmdUri(r.file) : null;
+        const stat = filePath ? await fs.stat(filePath).catch(() => null) : null;
+        const enriched = { ...r, mtime: stat?.mtimeMs ?? null, size: stat?.size ?? null };
+        if (!stat || !filePath.endsWith(".md")) return enriched;
+
+        const meta = await readFrontMatter(filePath);
+        if (!meta.source) return enriched; // not one of ours
+        return {
+            ...enriched,
+            title: meta.title || r.title,
+            author: meta.author || null,
+            source: meta.source,
+        };
+    }));
+}
+
+/** A word or phrase as a whole-word, case-insensitive pattern; phrases may wrap lines */
+function termPattern(term) {
+    const body = term.split(/\s+/).map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s+");
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, "iu");
+}
+
+/**
+ * Keep the (enriched) results that pass the query's filters. ext:
+ * matches a converted file's original too, so ext:pdf finds PDFs.
+ */
+async function filterResults(results, filters) {
+    const required = filters.required.map(termPattern);
+    const excluded = filters.excluded.map(termPattern);
+    const readsContent = required.length > 0 || excluded.length > 0;
+
+    const keep = await Promise.all(results.map(async (r) => {
+        const file = typeof r.file === "string" ? r.file : "";
+        const relPath = file.replace(/^qmd:\/\/[^/]+\//, "").toLowerCase();
+        const exts = [relPath, r.source || ""].map((name) => path.extname(name).slice(1).toLowerCase());
+
+        if (filters.ext.length > 0 && !exts.some((ext) => filters.ext.includes(ext))) return false;
+        if (exts.some((ext) => filters.notExt.includes(ext))) return false;
+        if (filters.path.length > 0 && !filters.path.some((p) => relPath.includes(p))) return false;
+        if (filters.notPath.some((p) => relPath.includes(p))) return false;
+        if (filters.after !== null && !(r.mtime >= filters.after)) return false;
+        if (!readsContent) return true;
+
+        const filePath = file ? resolveQmdUri(file) : null;
+        const content = filePath ? await fs.readFile(filePath, "utf-8").catch(() => null) : null;
+        if (content === null) return false;
+        return required.every((pattern) => pattern.test(content))
+            && !excluded.some((pattern) => pattern.test(content));
+    }));
+    return results.filter((_, i) => keep[i]);
+}
+
+/**
+ * One qmd call; a missing collection argument searches everything.
+ * `follow.onStage(stage, detail)` hears the first stage once qmd starts
+ * and every change after; `follow.onQueued(wait)` hears the line ahead
+ * while the call waits for a slot.
+ */
+async function searchOne(spec, query, n, collection, signal, { onStage, onQueued } = {}) {
+    const args = [spec.command, query, "--json", "-n", String(n)];
+    if (collection) args.push("-c", collection);
+
+    let stage = spec.firstStage;
+    const onStart = onStage && (() => onStage(stage, null));
+    const onStderrLine = onStage && ((line) => {
+        const next = STAGES.find(([, pattern]) => pattern.test(line))?.[0];
+        if (next && next !== stage) onStage((stage = next), line);
+    });
+
+    const result = await runQmd(args, spec.timeoutMs, { signal, onStderrLine, onQueued, onStart });
+    if (!result.ok) return result;
+    try {
+        const parsed = JSON.parse(result.stdout);
+        return { ok: true, results: Array.isArray(parsed) ? parsed : [] };
+    } catch {
+        return { ok: true, results: [], raw: result.stdout };
+    }
+}
+
+/**
+ * Run one engine over the targets.
+ * @returns {Promise<{ ok: boolean, results?: object[], exhausted?: boolean, raw?: string,
+ *   aborted?: boolean, stderr?: string }>} results merged across collections
+ */
+async function runEngine(spec, query, n, targets, signal, follow) {
+    const followOf = (collection) => follow && {
+        onStage: (stage, detail) => follow.onStage({ stage, collection, detail }),
+        onQueued: (wait) => follow.onQueued({ collection, ...wait }),
+    };
+    let outcomes;
+    if (!targets) {
+        outcomes = [await searchOne(spec, query, n, null, signal, followOf(null))];
+    } else if (spec.parallel) {
+        outcomes = await Promise.all(targets.map((c) => searchOne(spec, query, n, c, signal, followOf(c))));
+    } else {
+        outcomes = [];
+        for (const c of targets) {
+            const outcome = await searchOne(spec, query, n, c, signal, followOf(c));
+            outcomes.push(outcome);
+            if (!outcome.ok) break;
+        }
+    }
+
+    if (outcomes.some((o) => o.aborted)) return { ok: false, aborted: true };
+    const failed = outcomes.find((o) => !o.ok);
+    if (failed) return failed;
+
+    return {
+        ok: true,
+        results: mergeResults(outcomes.map((o) => o.results)),
+        // A call that returned fewer than asked for has no more matches
+        exhausted: outcomes.every((o) => o.results.length < n),
+        raw: outcomes.length === 1 ? outcomes[0].raw : undefined,
+    };
+}
+
+/**
+ * Reciprocal rank fusion: each engine adds 1 / (RRF_K + rank) for every
+ * file it found. Scores are scaled so a file ranked first by every
+ * engine of the mode scores 1 — a file only one engine found tops out
+ * lower, whichever engines ran.
+ * @param {Record<string, object[]>} ranked - Engine → results, best first
+ * @param {number} engineCount - Engines in the mode
+ */
+function fuseResults(ranked, engineCount) {
+    const best = engineCount / (RRF_K + 1);
+    const byFile = new Map();
+    for (const [engine, results] of Object.entries(ranked)) {
+        results.forEach((r, rank) => {
+            const key = r.file ?? JSON.stringify(r);
+            const entry = byFile.get(key) || { result: r, rrf: 0, engines: [], engineScores: {} };
+            entry.rrf += 1 / (RRF_K + rank + 1);
+            entry.engines.push(engine);
+            entry.engineScores[engine] = r.score ?? null;
+            // Deep results carry the better snippet and title
+            if (engine === "deep") entry.result = r;
+            byFile.set(key, entry);
+        });
+    }
+    return Array.from(byFile.values())
+        .sort((a, b) => b.rrf - a.rrf)
+        .map(({ result, rrf, engines, engineScores }) => ({
+            ...result,
+            score: Math.round((rrf / best) * 1000) / 1000,
+            engines,
+            engineScores,
+        }));
+}
+
+// ─── Exported API ─────────────────────────────────────────────
+
+/**
+ * Search some or all collections and return one page of the merged results.
+ * Hybrid searches run both engines and fuse them.
+ * @param {object} options
+ * @param {"fast"|"deep"|"hybrid"} options.mode
+ * @param {string} options.query - What qmd searches for (parseQuery's text)
+ * @param {object} [options.filters] - parseQuery's filters, checked against the results
+ * @param {number} [options.offset] - Already clamped (see clampPage)
+ * @param {number} options.limit - Already clamped
+ * @param {string[]} [options.collections] - Only these (empty = all)
+ * @param {string[]} [options.exclude] - Never these
+ * @param {AbortSignal} [options.signal] - Kills the qmd processes
+ * @param {(event: "queued"|"stage"|"candidates", data: object) => void} [options.onProgress]
+ *   Follow a search as it runs: its place in line while qmd waits for a slot
+ *   ({ engine, collection, ahead, kinds }), each engine's stage ({ engine, stage,
+ *   collection, detail }) and, for hybrid searches, the keyword hits
+ *   ({ results, engines }) while qmd query is still working. Candidates are provisional.
+ * @returns {Promise<{ ok: boolean, results?: object[], total?: number|null, hasMore?: boolean,
+ *   searched?: string[]|null, cached?: boolean, raw?: string, aborted?: boolean, error?: string,
+ *   detail?: string, status?: number }>}
+ */
+export async function runSearch({
+    mode, query, filters = null, offset = 0, limit, collections = [], exclude = [], signal, onProgress,
+}) {
+    const spec = MODES[mode];
+    const filtering = hasResultFilters(filters);
+    const cache = await lookupSearch({
+        mode, query, filters: filtering ? filters : null, collections, exclude, offset, limit,
+    });
+    if (cache.hit) return { ...cache.hit, cached: true };
+
+    const window = offset + limit;
+    // One extra to tell whether there's more
+    const n = (filtering ? Math.min(window * FILTER_OVERFETCH, spec.maxWindow) : window) + 1;
+    // Filters need every candidate's details; otherwise only the page's
+    const narrow = async (ranked) => (filtering ? filterResults(await enrichResults(ranked), filters) : ranked);
+    const pageOf = async (found) => (filtering ? found.slice(offset, window) : enrichResults(found.slice(offset, window)));
+    const targets = await resolveTargets(collections, exclude);
+    if (targets && targets.length === 0) {
+        return { ok: false, status: 400, error: "Every collection is excluded — nothing to search" };
+    }
+    if (limit === 0) return { ok: true, results: [], total: null, hasMore: false, searched: targets }; // past maxWindow
+
+    const names = spec.engines || [mode];
+    const follow = (engine) => onProgress && {
+        onStage: (stage) => onProgress("stage", { engine, ...stage }),
+        onQueued: (wait) => onProgress("queued", { engine, ...wait }),
+    };
+    const pending = names.map((name) => runEngine(MODES[name], query, n, targets, signal, follow(name)));
+
+    let settled = false;
+    if (onProgress && spec.engines) {
+        // Hybrid's keyword hits are ready long before qmd query is — show them meanwhile
+        pending[names.indexOf("fast")]
+            .then(async (run) => {
+                if (!run.ok || settled) return;
+                const results = await pageOf(await narrow(fuseResults({ fast: run.results }, spec.engines.length)));
+                if (!settled) onProgress("candidates", { results, engines: ["fast"] });
+            })
+            .catch((err) => console.error("  ✗ Could not send keyword candidates:", err.message));
+    }
+    const runs = await Promise.all(pending);
+    settled = true;
+
+    if (runs.some((r) => r.aborted)) return { ok: false, aborted: true };
+    const failed = runs.find((r) => !r.ok);
+    if (failed) return { ok: false, status: 500, error: spec.failure, detail: failed.stderr };
+
+    const exhausted = runs.every((r) => r.exhausted);
+    const merged = await narrow(spec.engines
+        ? fuseResults(Object.fromEntries(names.map((name, i) => [name, runs[i].results])), spec.engines.length)
+        : runs[0].results);
+    const results = await pageOf(merged);
+    const hasMore = window < spec.maxWindow && (merged.length > window || !exhausted);
+
+    const raw = runs.length === 1 ? runs[0].raw : undefined;
+    const found = {
+        ok: true,
+        results,
+        total: exhausted ? merged.length : null,
+        hasMore,
+        searched: targets,
+        ...(raw !== undefined && { raw }),
+    };
+    cache.store(found);
+    return { ...found, cached: false };
+}
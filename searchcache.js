@@ -0,0 +1,132 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Search Result Cache
+   ═══════════════════════════════════════════════════════════════
+   Remembers search results so repeating a search — a Deep query
+   can take tens of seconds — doesn't run qmd again. Entries are
+   keyed on mode, query, collections, excluded collections and the
+   page asked for, and dropped whenever the index may have changed:
+   embed/update jobs, collection add/remove/edit, converter writes.
+
+   QMD_UI_SEARCH_CACHE picks the layers:
+     memory  (default) in-memory only
+     disk    also kept in ~/.config/qmd-ui/search-cache.json, so it
+             survives restarts
+     off     no caching
+
+   Usage:
+     import { lookupSearch, clearSearchCache } from './searchcache.js';
+     const cache = await lookupSearch({ mode, query, collections, offset, limit });
+     if (cache.hit) return cache.hit;
+     cache.store(await search());
+   ═══════════════════════════════════════════════════════════════ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { CONFIG_DIR, writeJsonAtomic } from "./configfiles.js";
+
+const CACHE_FILE = path.join(CONFIG_DIR, "search-cache.json");
+
+const LAYERS = ["memory", "disk", "off"];
+const LAYER = LAYERS.includes(process.env.QMD_UI_SEARCH_CACHE) ? process.env.QMD_UI_SEARCH_CACHE : "memory";
+
+const MAX_ENTRIES = 200;           // least recently used are dropped
+const TTL_MS = 30 * 60_000;        // backstop for index changes made outside QMD UI
+const SAVE_DEBOUNCE_MS = 2000;     // batch disk writes
+
+const entries = new Map(); // key → { at, value }; Map order = least recently used first
+let generation = 0;        // bumped on every clear, so searches that straddle one aren't stored
+let loading = null;
+let saveTimer = null;
+
+/** Same search = same mode, query (ignoring spacing), filters, collection selection and page */
+function cacheKey({ mode, query, filters = null, collections = [], exclude = [], offset = 0, limit }) {
+    const names = (list) => [...list].sort();
+    return JSON.stringify([
+        mode,
+        query.trim().replace(/\s+/g, " "),
+        filters,
+        names(collections),
+        names(exclude),
+        offset,
+        limit,
+    ]);
+}
+
+function isFresh(entry) {
+    return Date.now() - entry.at < TTL_MS;
+}
+
+/** Read the disk layer once, on first use */
+function ensureLoaded() {
+    if (LAYER !== "disk") return Promise.resolve();
+    const loadedIn = generation;
+    loading ??= fs.readFile(CACHE_FILE, "utf-8")
+        .then((text) => {
+            if (generation !== loadedIn) return; // cleared while reading — it's all stale
+            const saved = JSON.parse(text);
+            for (const [key, entry] of Array.isArray(saved.entries) ? saved.entries : []) {
+                if (entry && isFresh(entry)) entries.set(key, entry);
+            }
+        })
+        .catch((err) => {
+            if (err.code !== "ENOENT") console.error(`  ✗ Could not read ${CACHE_FILE}:`, err.message);
+        });
+    return loading;
+}
+
+/** Write the disk layer a moment after the last change */
+function saveSoon() {
+    if (LAYER !== "disk") return;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+        writeJsonAtomic(CACHE_FILE, { version: 1, entries: Array.from(entries) });
+    }, SAVE_DEBOUNCE_MS);
+}
+
+// ─── Exported API ─────────────────────────────────────────────
+
+/**
+ * Look a search up. On a miss, `store` caches its result — unless the
+ * cache was cleared while the search ran.
+ * @param {{ mode: string, query: string, filters?: object|null, collections?: string[],
+ *   exclude?: string[], offset?: number, limit: number }} search
+ * @returns {Promise<{ hit: object|null, store: (value: object) => void }>}
+ */
+export async function lookupSearch(search) {
+    if (LAYER === "off") return { hit: null, store: () => {} };
+    await ensureLoaded();
+
+    const key = cacheKey(search);
+    const entry = entries.get(key);
+    if (entry && isFresh(entry)) {
+        entries.delete(key); // re-insert as most recently used
+        entries.set(key, entry);
+        return { hit: entry.value, store: () => {} };
+    }
+    if (entry) entries.delete(key);
+
+    const startedIn = generation;
+    return {
+        hit: null,
+        store(value) {
+            if (generation !== startedIn) return;
+            entries.set(key, { at: Date.now(), value });
+            while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+            saveSoon();
+        },
+    };
+}
+
+/**
+ * Forget every cached search, e.g. because the index changed.
+ * @param {string} reason - For the log
+ */
+export function clearSearchCache(reason) {
+    generation++;
+    if (entries.size > 0) console.log(`  🧹 Search cache cleared (${reason})`);
+    entries.clear();
+    if (LAYER === "disk") {
+        loading ??= Promise.resolve(); // what's on disk is stale too — never load it
+        saveSoon();
+    }
+}
@@ -1,32 +1,55 @@
 import express from "express";
-import { execFile } from "node:child_process";
-import { promisify } from "node:util";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import fs from "node:fs";
 import os from "node:os";
-import { watchDir, unwatchDir, getWatchedDirs, convertFile } from "./converter.js";
+import {
+    watchDir,
+    unwatchDir,
+    getWatchedDirs,
+    convertFile,
+    restoreWatchers,
+    setAutoWatchCollections,
+    getConverterState,
+    getRecentConversions,
+} from "./converter.js";
+import { startJob, cancelJob, getJob, listJobs, subscribeJob, onJobDone } from "./jobs.js";
+import { openInEditor } from "./opener.js";
+import { parseFrontMatter } from "./frontmatter.js";
+import { getCollection, getCollections, updateCollectionConfig, resolveQmdUri } from "./qmdconfig.js";
+import { runSearch, clampPage, SEARCH_MODES } from "./search.js";
+import { clearSearchCache } from "./searchcache.js";
+import { getQueue } from "./scheduler.js";
+import { parseQuery } from "./querysyntax.js";
+import { listCollections, invalidateCollectionScans, previewMask } from "./collections.js";
+import { listFolder, resolveAllowedPath } from "./folders.js";
+import {
+    recordSearch,
+    getHistory,
+    clearHistory,
+    getSavedSearches,
+    addSavedSearch,
+    updateSavedSearch,
+    removeSavedSearch,
+} from "./history.js";
+import { runQmd } from "./qmdcli.js";
 
-const execFileAsync = promisify(execFile);
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Larger documents are too slow to render in the preview pane
+const MAX_PREVIEW_BYTES = 5 * 1024 * 1024; // 5MB
+
+// Images the preview may load from inside a collection (GET /api/asset)
+const PREVIEW_IMAGE_EXTENSIONS = new Set([".png", ".jpg", ".jpeg", ".gif", ".bmp", ".svg", ".webp"]);
+
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
 // ─── Sanitization helpers ─────────────────────────────────────────────
 
-/** Allow only safe characters for search queries */
-function sanitizeQuery(q) {
-    if (typeof q !== "string" || q.length === 0 || q.length > 500) return null;
-    // Strip anything that could be a shell metacharacter
-    // Allow: letters, digits, spaces, common punctuation for natural language
-    if (/[;&|`$(){}[\]<>!\\]/.test(q)) return null;
-    return q.trim();
-}
-
 /** Allow only safe collection names */
 function sanitizeName(name) {
     if (typeof name !== "string" || name.length === 0 || name.length > 100) return null;
@@ -43,6 +66,16 @@ function sanitizePath(p) {
     return p.trim();
 }
 
+/**
+ * sanitizePath for a file to open. sanitizePath rejects backslashes, so
+ * Windows paths are checked in / form and handed back in native form.
+ */
+function sanitizeFilePath(p) {
+    if (process.platform !== "win32" || typeof p !== "string") return sanitizePath(p);
+    const safe = sanitizePath(p.replaceAll("\\", "/"));
+    return safe && path.win32.normalize(safe);
+}
+
 /** Allow only safe glob masks */
 function sanitizeMask(mask) {
     if (typeof mask !== "string" || mask.length === 0 || mask.length > 100) return null;
@@ -51,160 +84,241 @@ function sanitizeMask(mask) {
     return mask.trim();
 }
 
-// ─── Helper to run qmd commands ───────────────────────────────────────
-
-async function runQmd(args, timeoutMs = 60_000) {
-    try {
-        const { stdout, stderr } = await execFileAsync("qmd", args, {
-            timeout: timeoutMs,
-            maxBuffer: 10 * 1024 * 1024, // 10MB
-        });
-        return { ok: true, stdout: stdout.trim(), stderr: stderr.trim() };
-    } catch (err) {
-        return {
-            ok: false,
-            stdout: err.stdout?.trim() || "",
-            stderr: err.stderr?.trim() || err.message,
-        };
-    }
+/** Allow a short display name for a saved search */
+function sanitizeSavedName(name) {
+    if (typeof name !== "string") return null;
+    const trimmed = name.replace(/\s+/g, " ").trim();
+    if (trimmed.length === 0 || trimmed.length > 80 || /[<>\x00-\x1f]/.test(trimmed)) return null;
+    return trimmed;
 }
 
-// ─── Resolve qmd:// URIs to filesystem paths ─────────────────────────
-
-/**
- * Reads ~/.config/qmd/index.yml to find collection source paths,
- * then maps a qmd://collection/file URI to the actual filesystem path.
- */
-function resolveQmdUri(uri) {
-    if (!uri || !uri.startsWith("qmd://")) return uri;
+/** Allow a one-paragraph context description; "" clears it */
+function sanitizeContext(text) {
+    if (typeof text !== "string" || text.length > 1000) return null;
+    if (/[\x00-\x08\x0b-\x1f\x7f]/.test(text)) return null;
+    return text.replace(/\s+/g, " ").trim();
+}
 
-    const inner = uri.slice("qmd://".length); // "knowledge base/qmd-ui-notes.txt"
-    const slashIdx = inner.indexOf("/");
-    if (slashIdx < 0) return null;
+/** Allow only a plain file name (no directories) for uploads */
+function sanitizeFileName(name) {
+    if (typeof name !== "string" || name.length === 0 || name.length > 255) return null;
+    if (/[\/\\\0]/.test(name) || name.startsWith(".")) return null;
+    return name.trim();
+}
 
-    const collectionName = inner.substring(0, slashIdx);
-    const relativePath = inner.substring(slashIdx + 1);
+/** AbortSignal that fires when the client goes away before we've responded */
+function abortOnClose(res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    return controller.signal;
+}
 
-    // Read the qmd config to find the collection's source directory
-    const configPath = path.join(os.homedir(), ".config", "qmd", "index.yml");
-    try {
-        const yml = fs.readFileSync(configPath, "utf-8");
-        // Simple YAML parsing — find "  collectionName:\n    path: /some/dir"
-        // We look for the collection block and extract the path value
-        const lines = yml.split("\n");
-        let inCollection = false;
-        for (const line of lines) {
-            // Match collection header like '  knowledge base:' or '  my-docs:'
-            const headerMatch = line.match(/^  (.+?):\s*$/);
-            if (headerMatch) {
-                inCollection = headerMatch[1] === collectionName;
-                continue;
-            }
-            if (inCollection) {
-                const pathMatch = line.match(/^    path:\s*(.+)$/);
-                if (pathMatch) {
-                    const basePath = pathMatch[1].trim();
-                    return path.join(basePath, relativePath);
-                }
-            }
-        }
-    } catch {
-        // config not found or unreadable
-    }
-    return null;
+/** Switch a response to Server-Sent Events; returns a `send(event, data)` helper */
+function openEventStream(res) {
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+    });
+    return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
 // ─── API Routes ───────────────────────────────────────────────────────
 
 /**
  * GET /api/collections
- * Returns list of collections with name, pattern, file count
+ * Returns every collection with its source path, mask, file count, total
+ * size, last update, embedding coverage and context (see collections.js),
+ * plus index-wide totals from `qmd status`
  */
 app.get("/api/collections", async (_req, res) => {
-    const result = await runQmd(["collection", "list"]);
-    if (!result.ok) {
-        return res.status(500).json({ error: "Failed to list collections", detail: result.stderr });
+    const { collections, index, error } = await listCollections();
+    if (error && collections.length === 0) {
+        return res.status(500).json({ error: "Failed to list collections", detail: error });
     }
+    res.json({ collections, index });
+});
 
-    // Parse the text output into structured data
-    const collections = [];
-    const blocks = result.stdout.split("\n\n").filter(Boolean);
-    for (const block of blocks) {
-        const lines = block.split("\n").map((l) => l.trim());
-        // First line is "name (qmd://name/)"
-        const nameMatch = lines[0]?.match(/^(.+?)\s+\(qmd:\/\//);
-        if (!nameMatch) continue;
-        const name = nameMatch[1];
-        const pattern = lines.find((l) => l.startsWith("Pattern:"))?.replace("Pattern:", "").trim() || "";
-        const filesStr = lines.find((l) => l.startsWith("Files:"))?.replace("Files:", "").trim() || "0";
-        const files = parseInt(filesStr, 10) || 0;
-        collections.push({ name, pattern, files });
-    }
+/** Collection names from a body field: an array, or a single legacy string */
+function sanitizeNameList(value) {
+    if (value === undefined || value === null || value === "") return [];
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length > 50) return null;
+    const names = list.map(sanitizeName);
+    return names.includes(null) ? null : names;
+}
 
-    res.json({ collections });
-});
+/** Parse a search box query, checking collection: names against the config (if there is one) */
+function parseSearchQuery(q) {
+    const known = getCollections().map((c) => c.name);
+    return parseQuery(q, { collections: known.length > 0 ? known : null });
+}
 
 /**
- * POST /api/search
- * Body: { q: string, collection?: string, n?: number }
- * Fast BM25 keyword search
+ * Validate a search request body. The query's collection: filters add
+ * to the body's collections; `search` is what runSearch needs.
+ * @returns {{ error: string }|{ q: string, terms: string[], collections: string[], exclude: string[],
+ *   offset: number, limit: number, search: { query: string, filters: object,
+ *   collections: string[], exclude: string[] } }}
  */
-app.post("/api/search", async (req, res) => {
-    const q = sanitizeQuery(req.body.q);
-    if (!q) return res.status(400).json({ error: "Invalid or missing query" });
-
-    const n = Math.min(Math.max(parseInt(req.body.n) || 10, 1), 50);
-    const args = ["search", q, "--json", "-n", String(n)];
+function readSearchBody(body, mode) {
+    const parsed = parseSearchQuery(body.q);
+    if (parsed.error) return { error: parsed.error };
+
+    // `collection` (one name) is still accepted from older clients
+    const collections = sanitizeNameList(body.collections ?? body.collection);
+    const exclude = sanitizeNameList(body.exclude);
+    const searchCollections = sanitizeNameList([...(collections || []), ...parsed.collections]);
+    const searchExclude = sanitizeNameList([...(exclude || []), ...parsed.exclude]);
+    if (!collections || !exclude || !searchCollections || !searchExclude) return { error: "Invalid collection name" };
+
+    // `n` is the page size older clients send
+    const { offset, limit } = clampPage(mode, { offset: body.offset, limit: body.limit ?? body.n });
+    return {
+        q: body.q.trim(),
+        terms: parsed.terms,
+        collections,
+        exclude,
+        offset,
+        limit,
+        search: {
+            query: parsed.text,
+            filters: parsed.filters,
+            collections: Array.from(new Set(searchCollections)),
+            exclude: Array.from(new Set(searchExclude)),
+        },
+    };
+}
 
-    if (req.body.collection) {
-        const col = sanitizeName(req.body.collection);
-        if (!col) return res.status(400).json({ error: "Invalid collection name" });
-        args.push("-c", col);
-    }
+/** Record a finished search and build the response the search routes send */
+function searchResponse(mode, { q, terms, collections, exclude, offset, limit }, result) {
+    // Later pages are the same search, not a new one
+    if (offset === 0) recordSearch({ query: q, mode, collections, exclude, results: result.total ?? result.results.length });
+    return {
+        results: result.results,
+        mode,
+        offset,
+        limit,
+        total: result.total,
+        hasMore: result.hasMore,
+        searched: result.searched,
+        terms,
+        cached: Boolean(result.cached),
+        ...(result.raw !== undefined && { raw: result.raw }),
+    };
+}
 
-    const result = await runQmd(args);
-    if (!result.ok) {
-        return res.status(500).json({ error: "Search failed", detail: result.stderr });
-    }
+/** Shared handler for /api/search, /api/query and /api/hybrid */
+function searchRoute(mode) {
+    return async (req, res) => {
+        const request = readSearchBody(req.body, mode);
+        if (request.error) return res.status(400).json({ error: request.error });
+
+        const result = await runSearch({
+            mode,
+            ...request.search,
+            offset: request.offset,
+            limit: request.limit,
+            signal: abortOnClose(res),
+        });
+        if (result.aborted) return; // client cancelled — children already killed
+        if (!result.ok) {
+            return res.status(result.status || 500).json({ error: result.error, detail: result.detail });
+        }
+        res.json(searchResponse(mode, request, result));
+    };
+}
 
-    try {
-        const results = JSON.parse(result.stdout);
-        res.json({ results, mode: "fast" });
-    } catch {
-        res.json({ results: [], mode: "fast", raw: result.stdout });
-    }
-});
+/**
+ * POST /api/search
+ * Body: { q: string, collections?: string[], exclude?: string[], offset?: number, limit?: number }
+ * Fast BM25 keyword search. Several collections are searched one by one
+ * and merged; `searched` in the response lists them (null = all).
+ * Each result carries the file's `mtime` (ms) and `size` (bytes), or null.
+ * Paged: `total` is the match count when qmd ran out of matches (else
+ * null) and `hasMore` says whether the next offset has results.
+ * `q` may use the query language — "phrases", +/-terms, collection:,
+ * ext:, path:, after: (see querysyntax.js); `terms` in the response are
+ * the words to highlight.
+ */
+app.post("/api/search", searchRoute("fast"));
 
 /**
  * POST /api/query
- * Body: { q: string, collection?: string, n?: number }
+ * Body: { q: string, collections?: string[], exclude?: string[], offset?: number, limit?: number }
  * Deep semantic search with query expansion + reranking
  */
-app.post("/api/query", async (req, res) => {
-    const q = sanitizeQuery(req.body.q);
-    if (!q) return res.status(400).json({ error: "Invalid or missing query" });
+app.post("/api/query", searchRoute("deep"));
 
-    const n = Math.min(Math.max(parseInt(req.body.n) || 5, 1), 20);
-    const args = ["query", q, "--json", "-n", String(n)];
+/**
+ * POST /api/hybrid
+ * Body: { q: string, collections?: string[], exclude?: string[], offset?: number, limit?: number }
+ * Runs both engines and fuses them by rank (reciprocal rank fusion);
+ * each result has `engines` (["fast", "deep"] or one of them) and
+ * `engineScores`. /api/search/stream sends the keyword hits early.
+ */
+app.post("/api/hybrid", searchRoute("hybrid"));
 
-    if (req.body.collection) {
-        const col = sanitizeName(req.body.collection);
-        if (!col) return res.status(400).json({ error: "Invalid collection name" });
-        args.push("-c", col);
-    }
+/**
+ * POST /api/search/stream
+ * Body: { q: string, mode: "fast"|"deep"|"hybrid", collections?: string[], exclude?: string[],
+ *         offset?: number, limit?: number }
+ * The same search as the routes above, streamed as Server-Sent Events:
+ *   queued      { engine, collection, ahead, kinds } — waiting for a qmd slot
+ *               behind `ahead` runs (`kinds` counts them: { query: 2, embed: 1 });
+ *               sent again whenever the line moves
+ *   stage       { engine, stage, collection, detail } — stage is "searching",
+ *               "expanding", "retrieving" or "reranking", from qmd's progress output
+ *   candidates  { results, engines } — hybrid's keyword hits while qmd query
+ *               runs; scores are provisional
+ *   results     what /api/search, /api/query or /api/hybrid would have returned
+ *   error       { error, detail }
+ * Bad requests get a plain 400 before the stream opens.
+ */
+app.post("/api/search/stream", async (req, res) => {
+    const mode = req.body.mode || "fast";
+    if (!SEARCH_MODES.includes(mode)) return res.status(400).json({ error: "Invalid mode" });
+    const request = readSearchBody(req.body, mode);
+    if (request.error) return res.status(400).json({ error: request.error });
+
+    const signal = abortOnClose(res);
+    const send = openEventStream(res);
+    const result = await runSearch({
+        mode,
+        ...request.search,
+        offset: request.offset,
+        limit: request.limit,
+        signal,
+        onProgress: (event, data) => {
+            if (!signal.aborted) send(event, data);
+        },
+    });
+    if (result.aborted) return;
+    if (result.ok) send("results", searchResponse(mode, request, result));
+    else send("error", { error: result.error, detail: result.detail, status: result.status || 500 });
+    res.end();
+});
 
-    // query uses LLM — give it more time
-    const result = await runQmd(args, 120_000);
-    if (!result.ok) {
-        return res.status(500).json({ error: "Query failed", detail: result.stderr });
-    }
+/**
+ * GET /api/search/parse?q=...
+ * How the query language reads a query, for the search bar's preview:
+ * { tokens: [{ type, text, start, end, field?, value?, message? }], error, text, terms }
+ * (see querysyntax.js). Always 200 — `error` is what searching would say.
+ */
+app.get("/api/search/parse", (req, res) => {
+    const { tokens, error, text, terms } = parseSearchQuery(req.query.q);
+    res.json({ tokens, error, text, terms });
+});
 
-    try {
-        const results = JSON.parse(result.stdout);
-        res.json({ results, mode: "deep" });
-    } catch {
-        res.json({ results: [], mode: "deep", raw: result.stdout });
-    }
+/**
+ * GET /api/queue
+ * What qmd is running and what's waiting for a slot, per pool:
+ * { model: { limit, running: [{ kind, since }], waiting: [{ kind }] }, search: {...} }
+ */
+app.get("/api/queue", (_req, res) => {
+    res.json(getQueue());
 });
 
 /**
@@ -228,25 +342,100 @@ app.post("/api/collection/add", async (req, res) => {
         return res.status(500).json({ error: "Failed to add collection", detail: result.stderr });
     }
 
+    invalidateCollectionScans();
+    clearSearchCache("collection added");
     res.json({ success: true, message: result.stdout || "Collection added" });
 });
 
 /**
  * POST /api/embed
- * Triggers vector embedding for all collections
+ * Starts vector embedding for all collections as a background job.
+ * Follow progress via GET /api/jobs/:id/events
  */
-app.post("/api/embed", async (_req, res) => {
-    const result = await runQmd(["embed"], 300_000); // can take a while
-    if (!result.ok) {
-        return res.status(500).json({ error: "Embedding failed", detail: result.stderr });
+app.post("/api/embed", (_req, res) => {
+    const { job, already } = startJob("embed");
+    res.status(202).json({
+        success: true,
+        job,
+        message: already ? "Embedding is already running"
+            : job.status === "queued" ? `Embedding queued behind ${job.queue.ahead} search${job.queue.ahead === 1 ? "" : "es"}`
+                : "Embedding started",
+    });
+});
+
+/**
+ * POST /api/update
+ * Re-indexes all collections (`qmd update`) as a background job.
+ * Follow progress via GET /api/jobs/:id/events
+ */
+app.post("/api/update", (_req, res) => {
+    const { job, already } = startJob("update");
+    res.status(202).json({
+        success: true,
+        job,
+        message: already ? "Index update is already running" : "Index update started",
+    });
+});
+
+/**
+ * GET /api/document?uri=qmd://collection/file.md
+ * Returns an indexed document's content for the preview pane.
+ * Only qmd:// URIs are accepted, so nothing outside a collection is readable.
+ */
+app.get("/api/document", async (req, res) => {
+    const uri = req.query.uri;
+    if (typeof uri !== "string" || !uri.startsWith("qmd://")) {
+        return res.status(400).json({ error: "Invalid document URI" });
     }
-    res.json({ success: true, message: result.stdout || "Embedding complete" });
+
+    const filePath = resolveQmdUri(uri);
+    if (!filePath) {
+        return res.status(404).json({ error: "Could not resolve qmd:// URI to a filesystem path" });
+    }
+
+    try {
+        const stat = await fs.promises.stat(filePath);
+        if (!stat.isFile()) return res.status(404).json({ error: "Document not found" });
+        if (stat.size > MAX_PREVIEW_BYTES) {
+            return res.status(413).json({ error: "Document is too large to preview" });
+        }
+        const text = await fs.promises.readFile(filePath, "utf-8");
+        const { data: frontMatter, body: content } = parseFrontMatter(text);
+        res.json({ uri, path: filePath, content, frontMatter, size: stat.size, mtime: stat.mtimeMs });
+    } catch (err) {
+        res.status(404).json({ error: "Document not found", detail: err.message });
+    }
+});
+
+/**
+ * GET /api/asset?uri=qmd://collection/assets/image.png
+ * Serves an image a previewed document links to (e.g. ones extracted
+ * from .docx files). Same qmd:// resolution as /api/document, and only
+ * image types, so it can't be used to fetch arbitrary files.
+ */
+app.get("/api/asset", async (req, res) => {
+    const uri = req.query.uri;
+    if (typeof uri !== "string" || !uri.startsWith("qmd://")) {
+        return res.status(400).json({ error: "Invalid asset URI" });
+    }
+    if (!PREVIEW_IMAGE_EXTENSIONS.has(path.extname(uri).toLowerCase())) {
+        return res.status(415).json({ error: "Only images can be previewed" });
+    }
+
+    const filePath = resolveQmdUri(uri);
+    if (!filePath) {
+        return res.status(404).json({ error: "Could not resolve qmd:// URI to a filesystem path" });
+    }
+    res.sendFile(filePath, { dotfiles: "deny" }, (err) => {
+        if (err && !res.headersSent) res.status(404).json({ error: "Asset not found" });
+    });
 });
 
 /**
  * POST /api/open
- * Body: { file: string }
- * Opens a file using the system default app (macOS: open).
+ * Body: { file: string, line?: number }
+ * Opens a file in the editor from QMD_UI_EDITOR (e.g. "code -g {file}:{line}"),
+ * falling back to the platform default app (open / xdg-open / FileProtocolHandler).
  * Handles qmd:// URIs by resolving them to filesystem paths first.
  */
 app.post("/api/open", async (req, res) => {
@@ -266,12 +455,15 @@ app.post("/api/open", async (req, res) => {
     }
 
     // Sanitize the resolved path
-    const safePath = sanitizePath(file);
+    const safePath = sanitizeFilePath(file);
     if (!safePath) return res.status(400).json({ error: "Invalid file path" });
 
+    const line = parseInt(req.body.line, 10);
+    const safeLine = Number.isInteger(line) && line > 0 ? line : undefined;
+
     try {
-        await execFileAsync("open", [safePath], { timeout: 5000 });
-        res.json({ success: true });
+        const { command } = await openInEditor(safePath, safeLine);
+        res.json({ success: true, command });
     } catch (err) {
         res.status(500).json({ error: "Failed to open file", detail: err.message });
     }
@@ -289,9 +481,97 @@ app.post("/api/collection/remove", async (req, res) => {
     if (!result.ok) {
         return res.status(500).json({ error: "Failed to remove collection", detail: result.stderr });
     }
+    invalidateCollectionScans();
+    clearSearchCache("collection removed");
     res.json({ success: true, message: result.stdout || "Collection removed" });
 });
 
+/**
+ * PATCH /api/collection/:name
+ * Body: { name?: string, mask?: string, path?: string, context?: string }
+ * Edits a collection in place, keeping its index and embeddings:
+ * mask, path and context are changed in qmd's index.yml, a new name
+ * goes through `qmd collection rename`. A new mask or path starts a
+ * background `qmd update` so the index matches.
+ */
+app.patch("/api/collection/:name", async (req, res) => {
+    const name = sanitizeName(req.params.name);
+    if (!name) return res.status(400).json({ error: "Invalid collection name" });
+    const current = getCollection(name);
+    if (!current) return res.status(404).json({ error: `Collection "${name}" not found in qmd's config` });
+
+    const changes = {};
+    let newName = null;
+
+    if (req.body.name !== undefined && req.body.name !== name) {
+        newName = sanitizeName(req.body.name);
+        if (!newName) return res.status(400).json({ error: "Invalid collection name" });
+        if (newName !== name && getCollection(newName)) {
+            return res.status(409).json({ error: `A collection named "${newName}" already exists` });
+        }
+        if (newName === name) newName = null;
+    }
+    if (req.body.mask !== undefined) {
+        const mask = sanitizeMask(req.body.mask);
+        if (!mask) return res.status(400).json({ error: "Invalid mask pattern" });
+        if (mask !== current.mask) changes.mask = mask;
+    }
+    if (req.body.path !== undefined) {
+        const dirPath = sanitizePath(req.body.path);
+        if (!dirPath) return res.status(400).json({ error: "Invalid path" });
+        const resolved = path.resolve(dirPath.replace(/^~(?=\/|$)/, os.homedir()));
+        try {
+            if (!(await fs.promises.stat(resolved)).isDirectory()) {
+                return res.status(400).json({ error: "Path is not a directory" });
+            }
+        } catch {
+            return res.status(400).json({ error: "Directory not found" });
+        }
+        if (resolved !== current.path) changes.path = resolved;
+    }
+    if (req.body.context !== undefined) {
+        const context = sanitizeContext(req.body.context);
+        if (context === null) return res.status(400).json({ error: "Invalid context description" });
+        if (context !== (current.contexts["/"] || "")) changes.context = context;
+    }
+
+    if (Object.keys(changes).length === 0 && !newName) {
+        return res.json({ success: true, message: "Nothing to change", collection: current });
+    }
+
+    if (Object.keys(changes).length > 0) {
+        try {
+            await updateCollectionConfig(name, changes);
+        } catch (err) {
+            return res.status(500).json({ error: "Failed to update collection", detail: err.message });
+        }
+    }
+
+    if (newName) {
+        const result = await runQmd(["collection", "rename", name, newName], 30_000);
+        if (!result.ok) {
+            const applied = Object.keys(changes);
+            return res.status(500).json({
+                error: "Failed to rename collection",
+                detail: result.stderr,
+                ...(applied.length > 0 && { applied }),
+            });
+        }
+    }
+
+    invalidateCollectionScans();
+    clearSearchCache("collection edited");
+    // Files matched by the old mask/path are stale until qmd re-scans
+    const job = changes.mask || changes.path ? startJob("update").job : null;
+    const finalName = newName || name;
+    res.json({
+        success: true,
+        message: job ? `"${finalName}" updated — re-indexing` : `"${finalName}" updated`,
+        collection: getCollection(finalName),
+        job,
+    });
+});
+
 /**
  * GET /api/status
  * Returns qmd index status
@@ -304,12 +584,219 @@ app.get("/api/status", async (_req, res) => {
     res.json({ status: result.stdout });
 });
 
+// ─── History Routes ───────────────────────────────────────────────────
+
+/**
+ * GET /api/history?q=runbook&limit=10
+ * Recent searches, newest first — q filters by substring (for autocomplete)
+ */
+app.get("/api/history", async (req, res) => {
+    const q = typeof req.query.q === "string" ? req.query.q.slice(0, 500) : "";
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    res.json({ history: await getHistory({ q, limit }) });
+});
+
+/**
+ * DELETE /api/history
+ * Clears search history (saved searches are kept)
+ */
+app.delete("/api/history", async (_req, res) => {
+    await clearHistory();
+    res.json({ success: true, message: "Search history cleared" });
+});
+
+/**
+ * GET /api/saved
+ * Saved searches, pinned first
+ */
+app.get("/api/saved", async (_req, res) => {
+    res.json({ saved: await getSavedSearches() });
+});
+
+/**
+ * POST /api/saved
+ * Body: { name: string, q: string, mode: "fast"|"deep", collections?: string[],
+ *         exclude?: string[], pinned?: boolean }
+ */
+app.post("/api/saved", async (req, res) => {
+    const name = sanitizeSavedName(req.body.name);
+    if (!name) return res.status(400).json({ error: "Invalid name" });
+    const parsed = parseSearchQuery(req.body.q);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (!SEARCH_MODES.includes(req.body.mode)) return res.status(400).json({ error: "Invalid mode" });
+    const collections = sanitizeNameList(req.body.collections ?? req.body.collection);
+    const exclude = sanitizeNameList(req.body.exclude);
+    if (!collections || !exclude) return res.status(400).json({ error: "Invalid collection name" });
+
+    const { saved, error } = await addSavedSearch({
+        name,
+        query: req.body.q.trim(),
+        mode: req.body.mode,
+        collections,
+        exclude,
+        pinned: req.body.pinned === true,
+    });
+    if (error) return res.status(409).json({ error });
+    res.status(201).json({ success: true, saved });
+});
+
+/**
+ * PATCH /api/saved/:id
+ * Body: { name?: string, pinned?: boolean }
+ */
+app.patch("/api/saved/:id", async (req, res) => {
+    const changes = {};
+    if (req.body.name !== undefined) {
+        changes.name = sanitizeSavedName(req.body.name);
+        if (!changes.name) return res.status(400).json({ error: "Invalid name" });
+    }
+    if (req.body.pinned !== undefined) {
+        if (typeof req.body.pinned !== "boolean") return res.status(400).json({ error: "pinned must be true or false" });
+        changes.pinned = req.body.pinned;
+    }
+
+    const { saved, error } = await updateSavedSearch(req.params.id, changes);
+    if (error === "not found") return res.status(404).json({ error: "Saved search not found" });
+    if (error) return res.status(409).json({ error });
+    res.json({ success: true, saved });
+});
+
+/**
+ * DELETE /api/saved/:id
+ */
+app.delete("/api/saved/:id", async (req, res) => {
+    if (!(await removeSavedSearch(req.params.id))) {
+        return res.status(404).json({ error: "Saved search not found" });
+    }
+    res.json({ success: true });
+});
+
+// ─── Folder Browser Routes ────────────────────────────────────────────
+
+/** Status code for a folders.js error */
+function folderErrorStatus(err) {
+    if (err.code === "EFORBIDDEN") return 403;
+    if (err.code === "ENOENT") return 404;
+    if (err.code === "ENOTDIR") return 400;
+    return 500;
+}
+
+/**
+ * GET /api/fs/list?path=~/Documents&hidden=1
+ * Subfolders of a directory inside the allowed roots (home, or
+ * QMD_UI_ALLOWED_ROOTS). Without a path, returns the roots themselves.
+ */
+app.get("/api/fs/list", async (req, res) => {
+    let dirPath = null;
+    if (req.query.path) {
+        dirPath = sanitizePath(req.query.path);
+        if (!dirPath) return res.status(400).json({ error: "Invalid path" });
+    }
+    try {
+        res.json(await listFolder(dirPath, { hidden: req.query.hidden === "1" }));
+    } catch (err) {
+        res.status(folderErrorStatus(err)).json({ error: err.code === "ENOENT" ? "Directory not found" : err.message });
+    }
+});
+
+/**
+ * GET /api/fs/preview?path=~/notes&mask=**\/*.md
+ * Which files a collection with this path and mask would index:
+ * { path, mask, exists, files, totalSize, sample: [relative paths], truncated }
+ */
+app.get("/api/fs/preview", async (req, res) => {
+    const dirPath = sanitizePath(req.query.path);
+    if (!dirPath) return res.status(400).json({ error: "Invalid path" });
+    const mask = req.query.mask ? sanitizeMask(req.query.mask) : "**/*.md";
+    if (!mask) return res.status(400).json({ error: "Invalid mask pattern" });
+
+    try {
+        const resolved = await resolveAllowedPath(dirPath);
+        if (!(await fs.promises.stat(resolved)).isDirectory()) {
+            return res.status(400).json({ error: "Not a directory" });
+        }
+        const preview = await previewMask(resolved, mask, { sample: 20 });
+        res.json({ path: resolved, mask, ...preview });
+    } catch (err) {
+        res.status(folderErrorStatus(err)).json({ error: err.code === "ENOENT" ? "Directory not found" : err.message });
+    }
+});
+
+// ─── Job Routes ───────────────────────────────────────────────────────
+
+// Embed and update change what searches find — even when they fail partway
+onJobDone((job) => clearSearchCache(`${job.type} ${job.status}`));
+
+/**
+ * GET /api/jobs
+ * Running and recent background jobs, newest first
+ */
+app.get("/api/jobs", (_req, res) => {
+    res.json({ jobs: listJobs() });
+});
+
+/**
+ * POST /api/jobs
+ * Body: { type: "embed" | "update" }
+ * Start a background job (returns the running one if already started)
+ */
+app.post("/api/jobs", (req, res) => {
+    const { job, already, error } = startJob(req.body.type);
+    if (error) return res.status(400).json({ error });
+    res.status(202).json({ success: true, job, already });
+});
+
+/**
+ * GET /api/jobs/:id
+ * A single job including its buffered output
+ */
+app.get("/api/jobs/:id", (req, res) => {
+    const job = getJob(req.params.id, { withLog: true });
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json({ job });
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events: "snapshot" (job + log so far), "queued" while it
+ * waits for a slot, "started" once qmd runs, then "log" and "progress"
+ * as output arrives, then "done" when the job finishes.
+ */
+app.get("/api/jobs/:id/events", (req, res) => {
+    const job = getJob(req.params.id, { withLog: true });
+    if (!job) return res.status(404).json({ error: "Job not found" });
+
+    const send = openEventStream(res);
+    send("snapshot", job);
+
+    const unsubscribe = subscribeJob(job.id, (event, data) => {
+        send(event, data);
+        if (event === "done") res.end();
+    });
+    if (!unsubscribe) {
+        // Already finished — the snapshot is all there is
+        send("done", getJob(job.id));
+        return res.end();
+    }
+    res.on("close", unsubscribe);
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Kill a running job's qmd process, or take a queued job out of the queue
+ */
+app.post("/api/jobs/:id/cancel", (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json({ success: true, job });
+});
+
 // ─── Converter Routes ─────────────────────────────────────────────────
 
 /**
  * POST /api/converter/watch
  * Body: { path: string }
- * Start watching a directory for .docx/.txt files
+ * Start watching a directory for documents to convert (.docx, .pdf, .html, .odt, .rtf, .txt)
  */
 app.post("/api/converter/watch", (req, res) => {
     const dirPath = sanitizePath(req.body.path);
@@ -318,7 +805,7 @@ app.post("/api/converter/watch", (req, res) => {
     const result = watchDir(dirPath);
     res.json({
         success: true,
-        message: result.already ? "Already watching this directory" : "Now watching for .docx/.txt files",
+        message: result.already ? "Already watching this directory" : "Now watching for documents to convert",
         mirrorDir: result.mirrorDir,
     });
 });
@@ -338,16 +825,30 @@ app.post("/api/converter/unwatch", async (req, res) => {
 
 /**
  * GET /api/converter/status
- * List all watched directories
+ * List all watched directories, converter settings, and which saved
+ * watches were restored (or failed to restore) at startup
  */
 app.get("/api/converter/status", (_req, res) => {
-    res.json({ watched: getWatchedDirs() });
+    res.json({ watched: getWatchedDirs(), ...getConverterState(), recent: getRecentConversions() });
+});
+
+/**
+ * POST /api/converter/settings
+ * Body: { autoWatchCollections: boolean }
+ * Also watch every collection's source path from qmd's index.yml
+ */
+app.post("/api/converter/settings", async (req, res) => {
+    if (typeof req.body.autoWatchCollections !== "boolean") {
+        return res.status(400).json({ error: "autoWatchCollections must be true or false" });
+    }
+    const result = await setAutoWatchCollections(req.body.autoWatchCollections);
+    res.json({ success: true, ...result, ...getConverterState() });
 });
 
 /**
  * POST /api/converter/convert
  * Body: { file: string, outputDir?: string }
- * Convert a single .docx/.txt file to .md on demand
+ * Convert a single document to .md on demand
  */
 app.post("/api/converter/convert", async (req, res) => {
     const file = sanitizePath(req.body.file);
@@ -359,9 +860,48 @@ app.post("/api/converter/convert", async (req, res) => {
     if (!result.ok) {
         return res.status(400).json({ error: result.error });
     }
-    res.json({ success: true, outputPath: result.outputPath });
+    res.json({ success: true, outputPath: result.outputPath, warnings: result.warnings });
 });
 
+/**
+ * POST /api/converter/upload?name=notes.docx&outputDir=/abs/dir&lastModified=1700000000000
+ * Body: raw file bytes (application/octet-stream)
+ * Convert a file dropped or picked in the browser, which has no path on disk
+ */
+app.post(
+    "/api/converter/upload",
+    express.raw({ type: "application/octet-stream", limit: "50mb" }),
+    async (req, res) => {
+        const name = sanitizeFileName(req.query.name);
+        if (!name) return res.status(400).json({ error: "Invalid file name" });
+
+        const outputDir = sanitizePath(req.query.outputDir);
+        if (!outputDir || !path.isAbsolute(outputDir)) {
+            return res.status(400).json({ error: "An absolute output folder is required" });
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: "Empty upload" });
+        }
+
+        // Keep the original name so the "Converted from" header is right
+        const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "qmd-ui-upload-"));
+        try {
+            const tmpFile = path.join(tmpDir, name);
+            await fs.promises.writeFile(tmpFile, req.body);
+            const lastModified = parseInt(req.query.lastModified, 10);
+            const result = await convertFile(tmpFile, outputDir, {
+                origin: "upload",
+                sourceLabel: name,
+                sourceMtime: lastModified > 0 ? lastModified : undefined,
+            });
+            if (!result.ok) return res.status(400).json({ error: result.error });
+            res.json({ success: true, outputPath: result.outputPath, warnings: result.warnings });
+        } finally {
+            await fs.promises.rm(tmpDir, { recursive: true, force: true });
+        }
+    }
+);
+
 // ─── Fallback: serve index.html for SPA ───────────────────────────────
 
 app.get("/{*splat}", (_req, res) => {
@@ -370,6 +910,11 @@ app.get("/{*splat}", (_req, res) => {
 
 // ─── Start ────────────────────────────────────────────────────────────
 
-app.listen(PORT, "127.0.0.1", () => {
+app.listen(PORT, "127.0.0.1", async () => {
     console.log(`\n  🔍 QMD UI running at http://127.0.0.1:${PORT}\n`);
+
+    const { restored, failed } = await restoreWatchers();
+    if (restored.length || failed.length) {
+        console.log(`  👁 Converter: restored ${restored.length} watch(es), ${failed.length} failed`);
+    }
 });
@@ -0,0 +1,175 @@
+/* ═══════════════════════════════════════════════════════════════
+   QMD UI — Frontend smoke tests
+   ═══════════════════════════════════════════════════════════════
+   Loads public/index.html and app.js in jsdom against a stubbed
+   /api, then does what a user would: open a search link, click a
+   result, load more, pin a saved search. Bootstrap, marked and DOMPurify come from a
+   CDN in the browser, so they're stubbed here too. Run with
+   `npm test`.
+   ═══════════════════════════════════════════════════════════════ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { JSDOM, VirtualConsole } from "jsdom";
+
+const HTML = await readFile(new URL("./public/index.html", import.meta.url), "utf-8");
+const APP = await readFile(new URL("./public/app.js", import.meta.url), "utf-8");
+
+const result = (n) => ({
+    file: `qmd://notes/note-${n}.md`,
+    title: `Note ${n}`,
+    score: 1 - n / 100,
+    snippet: `standup notes ${n}`,
+    mtime: Date.parse("2026-06-01T12:00:00Z"),
+    size: 1024,
+});
+
+/** Canned /api responses; `requests` records what the page asked for */
+function stubApi(requests) {
+    const saved = [{ id: "s1", name: "Standups", query: "standup", mode: "fast", collections: [], exclude: [], pinned: false }];
+    const json = (body) => new Response(JSON.stringify(body), { headers: { "Content-Type": "application/json" } });
+    return async (url, options = {}) => {
+        const { pathname, searchParams } = new URL(url, "http://localhost");
+        const body = options.body ? JSON.parse(options.body) : null;
+        requests.push({ pathname, body });
+        switch (pathname) {
+            case "/api/collections":
+                return json({ collections: [{ name: "notes", files: 3, embedding: null }], index: null });
+            case "/api/search/stream": {
+                const page = { results: [result(1), result(2)], mode: body.mode, offset: 0, limit: 2, total: null, hasMore: true, terms: ["standup"] };
+                return new Response(`event: results\ndata: ${JSON.stringify(page)}\n\n`, { headers: { "Content-Type": "text/event-stream" } });
+            }
+            case "/api/search":
+                return json({ results: [result(3)], mode: "fast", offset: body.offset, limit: 2, total: 3, hasMore: false });
+            case "/api/saved":
+                return json({ saved });
+            case "/api/saved/s1":
+                Object.assign(saved[0], body);
+                return json(saved[0]);
+            case "/api/history":
+                return json({ history: [] });
+            case "/api/document":
+                return json({ uri: searchParams.get("uri"), path: "notes/note-1.md", content: "# Note\n\nstandup notes", frontMatter: null });
+            default:
+                return json({});
+        }
+    };
+}
+
+/** Load the UI at `url` and collect any error it throws, sync or async */
+function loadPage(url) {
+    const errors = [];
+    const requests = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("jsdomError", (err) => errors.push(err));
+    const dom = new JSDOM(HTML, { url, runScripts: "outside-only", pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+
+    window.fetch = stubApi(requests);
+    window.TextDecoderStream = TextDecoderStream;
+    window.EventSource = class { close() {} };
+    window.marked = { parse: (text) => text };
+    window.DOMPurify = { sanitize: (html) => html };
+    window.bootstrap = {
+        Offcanvas: class {
+            constructor(element) { this.element = element; }
+            show() {}
+            hide() { this.element.dispatchEvent(new window.Event("hidden.bs.offcanvas")); }
+        },
+        Toast: class { show() {} },
+    };
+    window.addEventListener("error", (e) => errors.push(e.error));
+    window.addEventListener("unhandledrejection", (e) => errors.push(e.reason));
+    const onRejection = (reason) => errors.push(reason);
+    process.on("unhandledRejection", onRejection);
+
+    window.eval(APP);
+    // Give requests still in flight time to land before the window goes away
+    const close = async () => {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        process.off("unhandledRejection", onRejection);
+        window.close();
+    };
+    return { window, errors, requests, close };
+}
+
+/** Let pending fetches and renders run */
+async function settle(window, until) {
+    for (let i = 0; i < 50 && !until(); i++) await new Promise((resolve) => window.setTimeout(resolve, 10));
+    assert.ok(until(), "timed out waiting for the page");
+}
+
+test("a search link shows its results, and clicking one previews it", async () => {
+    const page = loadPage("http://localhost/search?q=standup");
+    const { window, errors } = page;
+    try {
+        const cards = () => window.document.querySelectorAll(".result-card");
+        await settle(window, () => cards().length === 2);
+        assert.equal(window.document.getElementById("searchInput").value, "standup");
+
+        cards()[0].click();
+        await settle(window, () => window.location.search.includes("doc="));
+        assert.equal(new URLSearchParams(window.location.search).get("doc"), "qmd://notes/note-1.md");
+        await settle(window, () => page.requests.some((r) => r.pathname === "/api/document"));
+
+        // What Bootstrap fires when the preview is closed
+        window.document.getElementById("previewPanel").dispatchEvent(new window.Event("hidden.bs.offcanvas"));
+        assert.equal(new URLSearchParams(window.location.search).get("doc"), null);
+        assert.deepEqual(errors, []);
+    } finally {
+        await page.close();
+    }
+});
+
+test("Load more fetches the next page from the mode's endpoint", async () => {
+    const page = loadPage("http://localhost/search?q=standup");
+    const { window, errors } = page;
+    try {
+        const cards = () => window.document.querySelectorAll(".result-card");
+        await settle(window, () => cards().length === 2);
+
+        window.document.getElementById("btnLoadMore").click();
+        await settle(window, () => cards().length === 3);
+        const more = page.requests.find((r) => r.pathname === "/api/search");
+        assert.equal(more.body.offset, 2);
+        assert.deepEqual(errors, []);
+    } finally {
+        await page.close();
+    }
+});
+
+test("the start page loads without errors", async () => {
+    const page = loadPage("http://localhost/");
+    const { window, errors } = page;
+    try {
+        await settle(window, () => window.document.getElementById("statusLabel").textContent === "1 collection");
+        assert.equal(window.document.querySelectorAll(".result-card").length, 0);
+        assert.deepEqual(errors, []);
+    } finally {
+        await page.close();
+    }
+});
+
+test("an unpinned saved search can be pinned again from the suggestions", async () => {
+    const page = loadPage("http://localhost/");
+    const { window, errors } = page;
+    const { document } = window;
+    try {
+        await settle(window, () => document.getElementById("statusLabel").textContent === "1 collection");
+        assert.ok(document.getElementById("savedSearches").classList.contains("d-none"));
+
+        document.getElementById("searchInput").focus();
+        await settle(window, () => document.querySelector("[data-pin-saved]"));
+        document.querySelector("[data-pin-saved]").dispatchEvent(new window.MouseEvent("mousedown", { bubbles: true }));
+        await settle(window, () => document.querySelector("#savedSearches [data-saved]"));
+        const patch = page.requests.find((r) => r.pathname === "/api/saved/s1");
+        assert.deepEqual(patch.body, { pinned: true });
+
+        document.querySelector("#savedSearches [data-unpin]").click();
+        await settle(window, () => !document.querySelector("#savedSearches [data-saved]"));
+        assert.deepEqual(errors, []);
+    } finally {
+        await page.close();
+    }
+});